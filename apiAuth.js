@@ -0,0 +1,232 @@
+import crypto from "crypto";
+
+// ─── API CREDENTIALS ──────────────────────────────────────────────────────────
+// Scoped keys for the push and admin routes. Each credential names the
+// schools and actions it may use; only a SHA-256 of the key is stored, and
+// the key itself is shown once, when it's created.
+//
+//   create table api_credentials (
+//     id           uuid primary key default gen_random_uuid(),
+//     name         text not null,
+//     key_hash     text not null unique,
+//     key_prefix   text not null,               -- first characters, to recognise a key
+//     schools      text[] not null default '{}', -- school ids, or '*'
+//     actions      text[] not null default '{}', -- see API_ACTIONS, or '*'
+//     hmac_secret  text,                         -- set = requests must be signed
+//     active       boolean not null default true,
+//     created_at   timestamptz not null default now(),
+//     last_used_at timestamptz
+//   );
+//
+//   create table push_audit_log (
+//     id              bigint generated always as identity primary key,
+//     credential_id   uuid,
+//     credential_name text,
+//     action          text not null,
+//     school_id       text,
+//     route           text,
+//     ip              text,
+//     status          text not null,            -- sent | scheduled | denied | failed
+//     campaign_id     uuid,
+//     payload         jsonb,
+//     created_at      timestamptz not null default now()
+//   );
+//
+// ADMIN_API_KEY is the root credential (every school, every action). With
+// ADMIN_HMAC_SECRET set it must be signed too.
+//
+// Signed requests carry
+//   X-XSEN-Timestamp: <unix seconds>
+//   X-XSEN-Signature: hex HMAC-SHA256(secret, "<timestamp>.<METHOD>.<path>.<raw body>")
+// and are rejected when more than 5 minutes old or seen before.
+
+export const API_ACTIONS = {
+  announce:   "POST /announcements/notify",
+  livestream: "POST /livestream/notify",
+  push:       "POST /push/send and /push/schedule",
+  admin:      "Admin routes (trivia, schools, credentials, campaigns, scheduled pushes)"
+};
+
+const CACHE_MS = 60_000;
+const SIGNATURE_WINDOW_MS = 5 * 60 * 1000;
+
+export function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || "");
+  const right = Buffer.from(b || "");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function signRequest(secret, { timestamp, method, path, body = "" }) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`).digest("hex");
+}
+
+const allows = (list, value) => Array.isArray(list) && (list.includes("*") || list.includes(value));
+
+export function createApiAuth({
+  supabase,
+  rootKey = process.env.ADMIN_API_KEY,
+  rootHmacSecret = process.env.ADMIN_HMAC_SECRET,
+  table = "api_credentials",
+  auditTable = "push_audit_log"
+} = {}) {
+  const cache = new Map();          // key hash → { credential, at }
+  const seenSignatures = new Map(); // signature → expiry
+
+  const root = rootKey && {
+    id: null, name: "admin", schools: ["*"], actions: ["*"], hmac_secret: rootHmacSecret || null, active: true
+  };
+
+  async function lookup(key) {
+    if (root && safeEqual(key, rootKey)) return root;
+
+    const hash = hashKey(key);
+    const cached = cache.get(hash);
+    if (cached && Date.now() - cached.at < CACHE_MS) return cached.credential;
+
+    const { data, error } = await supabase.from(table).select('*').eq('key_hash', hash).maybeSingle();
+    if (error) throw new Error(error.message);
+
+    const credential = data?.active ? data : null;
+    cache.set(hash, { credential, at: Date.now() });
+    if (credential) {
+      supabase.from(table).update({ last_used_at: new Date().toISOString() }).eq('id', credential.id)
+        .then(({ error }) => error && console.error("❌ Credential last_used_at update error:", error.message));
+    }
+    return credential;
+  }
+
+  function verifySignature(req, secret) {
+    const timestamp = req.headers["x-xsen-timestamp"];
+    const signature = req.headers["x-xsen-signature"];
+    if (!timestamp || !signature) return "Signed request required";
+    if (Math.abs(Date.now() - Number(timestamp) * 1000) > SIGNATURE_WINDOW_MS) return "Signature expired";
+
+    const expected = signRequest(secret, {
+      timestamp,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody ? req.rawBody.toString("utf8") : ""
+    });
+    if (!safeEqual(signature, expected)) return "Invalid signature";
+
+    const now = Date.now();
+    for (const [sig, expires] of seenSignatures) if (expires < now) seenSignatures.delete(sig);
+    if (seenSignatures.has(signature)) return "Signature already used";
+    seenSignatures.set(signature, now + SIGNATURE_WINDOW_MS * 2);
+    return null;
+  }
+
+  function audit(req, { action, schoolId, status, campaignId, payload }) {
+    const entry = {
+      credential_id:   req.credential?.id || null,
+      credential_name: req.credential?.name || null,
+      action,
+      school_id:       schoolId || null,
+      route:           `${req.method} ${req.path}`,
+      ip:              req.ip,
+      status,
+      campaign_id:     campaignId || null,
+      payload:         payload || null
+    };
+    console.log(`🧾 ${status} ${action} ${schoolId || ""} by ${entry.credential_name || "anonymous"}`);
+    supabase.from(auditTable).insert(entry)
+      .then(({ error }) => error && console.error("❌ Audit log insert error:", error.message));
+  }
+
+  // Middleware: valid key, signature when the credential has a secret, and
+  // permission for `action` on the school `school(req)` resolves to
+  function requireScope(action, { school } = {}) {
+    return async (req, res, next) => {
+      const header = req.headers["authorization"] || "";
+      const key = header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+      if (!key) return res.status(401).json({ error: "Unauthorized" });
+
+      let credential;
+      try {
+        credential = await lookup(key);
+      } catch (err) {
+        console.error("❌ Credential lookup error:", err.message);
+        return res.status(503).json({ error: "Credential check unavailable" });
+      }
+      if (!credential) return res.status(401).json({ error: "Unauthorized" });
+      req.credential = credential;
+
+      if (credential.hmac_secret) {
+        const problem = verifySignature(req, credential.hmac_secret);
+        if (problem) return res.status(401).json({ error: problem });
+      }
+
+      // A route that names its school must resolve one; a request it can't
+      // place is denied rather than checked against actions alone
+      const schoolId = school ? school(req) : null;
+      if (school && !schoolId) {
+        if (action !== "admin") audit(req, { action, status: "denied" });
+        return res.status(403).json({ error: `Credential "${credential.name}" may not ${action} without naming a school` });
+      }
+      if (!allows(credential.actions, action) || (schoolId && !allows(credential.schools, schoolId))) {
+        if (action !== "admin") audit(req, { action, schoolId, status: "denied" });
+        return res.status(403).json({ error: `Credential "${credential.name}" may not ${action}${schoolId ? ` for ${schoolId}` : ""}` });
+      }
+      next();
+    };
+  }
+
+  async function createCredential({ name, schools, actions, hmac = false }) {
+    if (!name || typeof name !== "string") return { error: "name is required", status: 400 };
+    if (!Array.isArray(schools) || !schools.length) return { error: "schools must be a non-empty array (use [\"*\"] for all)", status: 400 };
+    if (!Array.isArray(actions) || !actions.length) return { error: "actions must be a non-empty array", status: 400 };
+    const unknown = actions.filter(a => a !== "*" && !API_ACTIONS[a]);
+    if (unknown.length) return { error: `Unknown actions: ${unknown.join(", ")} (use ${Object.keys(API_ACTIONS).join(", ")})`, status: 400 };
+
+    const key = `xsen_${crypto.randomBytes(24).toString("base64url")}`;
+    const hmacSecret = hmac ? crypto.randomBytes(32).toString("hex") : null;
+
+    const { data, error } = await supabase
+      .from(table)
+      .insert({ name, key_hash: hashKey(key), key_prefix: key.slice(0, 10), schools, actions, hmac_secret: hmacSecret })
+      .select('id, name, key_prefix, schools, actions, created_at')
+      .single();
+    if (error) return { error: error.message, status: 500 };
+
+    console.log(`🔑 API credential "${name}" created (${actions.join(", ")} for ${schools.join(", ")})`);
+    // The only time the key and secret are ever returned
+    return { data: { ...data, key, hmacSecret } };
+  }
+
+  async function listCredentials() {
+    const { data, error } = await supabase
+      .from(table)
+      .select('id, name, key_prefix, schools, actions, active, created_at, last_used_at, hmac_secret')
+      .order('created_at', { ascending: true });
+    if (error) return { error: error.message, status: 500 };
+    return { data: (data || []).map(({ hmac_secret, ...c }) => ({ ...c, signed: !!hmac_secret })) };
+  }
+
+  async function revokeCredential(id) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ active: false })
+      .eq('id', id)
+      .select('id, name, key_hash')
+      .maybeSingle();
+    if (error) return { error: error.message, status: 500 };
+    if (!data) return { error: "Credential not found", status: 404 };
+    cache.delete(data.key_hash);
+    console.log(`🔒 API credential "${data.name}" revoked`);
+    return { data: { id: data.id, name: data.name, active: false } };
+  }
+
+  async function auditLog({ schoolId, limit = 100 } = {}) {
+    let query = supabase.from(auditTable).select('*');
+    if (schoolId) query = query.eq('school_id', schoolId);
+    const { data, error } = await query.order('created_at', { ascending: false }).limit(limit);
+    if (error) return { error: error.message, status: 500 };
+    return { data: data || [] };
+  }
+
+  return { requireScope, audit, createCredential, listCredentials, revokeCredential, auditLog };
+}
@@ -0,0 +1,133 @@
+import crypto from "crypto";
+
+// ─── CHAT IDENTITY ────────────────────────────────────────────────────────────
+// Who a /chat request is from. Nothing in the body is trusted:
+//
+//   Authorization: Bearer <Supabase access token>
+//     → the signed-in user (token sub). Verified locally when
+//       SUPABASE_JWT_SECRET is set (HS256 projects), otherwise by Supabase
+//       Auth, with verified tokens cached until they expire (max 5 minutes).
+//
+//   X-XSEN-Session: <anonymous session token>  (or body.sessionToken)
+//     → a logged-out fan. Tokens are "<id>.<expires>.<hmac>" signed with
+//       SESSION_TOKEN_SECRET; requests without one are issued a fresh token,
+//       so every fan gets their own history and trivia state.
+//
+// Signed-in users are "premium" when their app_metadata.tier says so (set
+// server-side, so users can't change it), otherwise "free"; logged-out fans
+// are "anonymous". See rateLimiter.js.
+//
+// resolve(req) → { data: { userId, sessionId, anonymous, tier, issuedToken? } }
+//              | { error, status }
+
+const ANON_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const VERIFIED_CACHE_MS = 5 * 60 * 1000;
+const MAX_CACHED_TOKENS = 5000;
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a || "");
+  const right = Buffer.from(b || "");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// HS256 JWT → claims, or null when the signature, alg or expiry is wrong
+function verifyHs256(token, secret) {
+  const [header, payload, signature] = token.split(".");
+  if (!header || !payload || !signature) return null;
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString()).alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch {
+    return null;
+  }
+
+  const expected = b64url(crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest());
+  if (!safeEqual(signature, expected)) return null;
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+  if (claims.aud && claims.aud !== "authenticated") return null;
+  return claims;
+}
+
+export function createChatIdentity({
+  supabase,
+  jwtSecret = process.env.SUPABASE_JWT_SECRET,
+  sessionSecret = process.env.SESSION_TOKEN_SECRET
+} = {}) {
+  if (!sessionSecret) {
+    console.warn("⚠️ SESSION_TOKEN_SECRET not set — anonymous chat sessions reset on every restart");
+    sessionSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  const verified = new Map(); // access token → { user: { userId, tier }, until }
+  const tierOf = (appMetadata) => appMetadata?.tier === "premium" ? "premium" : "free";
+
+  function signAnon(id, expires) {
+    return b64url(crypto.createHmac("sha256", sessionSecret).update(`${id}.${expires}`).digest());
+  }
+
+  function issueAnonToken() {
+    const id = crypto.randomUUID();
+    const expires = Date.now() + ANON_TTL_MS;
+    return { id, token: `${id}.${expires}.${signAnon(id, expires)}` };
+  }
+
+  function readAnonToken(token) {
+    const [id, expires, signature] = (token || "").split(".");
+    if (!id || !expires || !signature) return null;
+    if (!safeEqual(signature, signAnon(id, expires))) return null;
+    if (Number(expires) <= Date.now()) return null;
+    return id;
+  }
+
+  async function userFromAccessToken(token) {
+    const cached = verified.get(token);
+    if (cached && cached.until > Date.now()) return cached.user;
+
+    let user = null;
+    let expiresAt = Date.now() + VERIFIED_CACHE_MS;
+
+    if (jwtSecret) {
+      const claims = verifyHs256(token, jwtSecret);
+      if (claims?.sub) {
+        user = { userId: claims.sub, tier: tierOf(claims.app_metadata) };
+        expiresAt = Math.min(expiresAt, claims.exp * 1000);
+      }
+    } else {
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error && !error.status) throw new Error(error.message);
+      if (data?.user?.id) user = { userId: data.user.id, tier: tierOf(data.user.app_metadata) };
+    }
+
+    if (user) {
+      if (verified.size >= MAX_CACHED_TOKENS) verified.delete(verified.keys().next().value);
+      verified.set(token, { user, until: expiresAt });
+    }
+    return user;
+  }
+
+  async function resolve(req) {
+    const header = req.headers["authorization"] || "";
+    if (header.startsWith("Bearer ")) {
+      try {
+        const user = await userFromAccessToken(header.slice(7).trim());
+        if (!user) return { error: "Invalid or expired sign-in — please sign in again", status: 401 };
+        return { data: { userId: user.userId, sessionId: user.userId, anonymous: false, tier: user.tier } };
+      } catch (err) {
+        console.error("❌ Chat auth check failed:", err.message);
+        return { error: "Sign-in check unavailable, please try again", status: 503 };
+      }
+    }
+
+    const anonId = readAnonToken(req.headers["x-xsen-session"] || req.body?.sessionToken);
+    if (anonId) return { data: { userId: null, sessionId: `anon:${anonId}`, anonymous: true, tier: "anonymous" } };
+
+    const { id, token } = issueAnonToken();
+    return { data: { userId: null, sessionId: `anon:${id}`, anonymous: true, tier: "anonymous", issuedToken: token } };
+  }
+
+  return { resolve };
+}
@@ -0,0 +1,104 @@
+// ─── CIRCUIT BREAKER + RETRY ──────────────────────────────────────────────────
+// closed    → calls pass through; consecutive failures are counted
+// open      → calls fail fast with code CIRCUIT_OPEN until the cooldown passes
+// half-open → exactly one probe call goes through; success closes the circuit,
+//             failure re-opens it for another cooldown
+
+function circuitOpenError(name, retryInMs) {
+  const err = new Error(`${name} is unavailable (circuit open, retry in ${Math.ceil(retryInMs / 1000)}s)`);
+  err.name = "CircuitOpenError";
+  err.code = "CIRCUIT_OPEN";
+  err.status = 0;
+  err.retryInMs = retryInMs;
+  return err;
+}
+
+export function createCircuitBreaker(name, {
+  failureThreshold = 3,
+  cooldownMs = 30000,
+  isFailure = () => true
+} = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+  let lastError = null;
+
+  function open(err) {
+    if (state !== "open") console.warn(`🔌 Circuit OPEN for ${name}: ${err?.message || err}`);
+    state = "open";
+    openedAt = Date.now();
+  }
+
+  function close() {
+    if (state !== "closed") console.log(`🔌 Circuit CLOSED for ${name}`);
+    state = "closed";
+    failures = 0;
+  }
+
+  return {
+    name,
+
+    async run(fn) {
+      if (state === "open") {
+        const retryInMs = openedAt + cooldownMs - Date.now();
+        if (retryInMs > 0) throw circuitOpenError(name, retryInMs);
+        state = "half-open";
+      }
+
+      const isProbe = state === "half-open";
+      if (isProbe) {
+        if (probing) throw circuitOpenError(name, cooldownMs);
+        probing = true;
+      }
+
+      try {
+        const value = await fn();
+        close();
+        return value;
+      } catch (err) {
+        if (!isFailure(err)) {
+          // The backend answered (JSON-RPC error, bad arguments…) — it's up
+          close();
+          throw err;
+        }
+        lastError = err;
+        failures++;
+        if (isProbe || failures >= failureThreshold) open(err);
+        throw err;
+      } finally {
+        if (isProbe) probing = false;
+      }
+    },
+
+    snapshot() {
+      return {
+        state: state === "open" && Date.now() - openedAt >= cooldownMs ? "half-open" : state,
+        failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        lastError: lastError?.message || null
+      };
+    }
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: random(0, base * 2^attempt), capped
+export async function withRetry(fn, {
+  retries = 2,
+  baseDelayMs = 250,
+  maxDelayMs = 2000,
+  shouldRetry = () => true
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      console.log(`🔁 Retry ${attempt + 1}/${retries} after ${Math.round(delay)}ms: ${err.message}`);
+      await sleep(delay);
+    }
+  }
+}
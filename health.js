@@ -0,0 +1,137 @@
+import { createMcpClient } from "./mcpClient.js";
+
+// ─── DEEP HEALTH CHECKS ───────────────────────────────────────────────────────
+// Probes every dependency the orchestrator talks to and reports status +
+// latency for each. All dependencies are injected so any probe can be swapped
+// for a stub (e.g. checkOpenAI in local dev without burning a real key).
+//
+// A dependency reports "ok", "down" or "skipped" (not configured). The overall
+// status is "down" when a critical dependency fails, "degraded" when anything
+// else fails, otherwise "ok".
+
+const CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function timed(name, kind, critical, probe) {
+  const started = Date.now();
+  try {
+    const detail = await withTimeout(Promise.resolve().then(probe), CHECK_TIMEOUT_MS, name);
+    if (detail?.skipped) {
+      return { name, kind, critical, status: "skipped", latencyMs: 0, detail: detail.reason };
+    }
+    return { name, kind, critical, status: "ok", latencyMs: Date.now() - started, detail };
+  } catch (err) {
+    return { name, kind, critical, status: "down", latencyMs: Date.now() - started, error: err?.message || String(err) };
+  }
+}
+
+// tools/list on a throwaway client so the probe doesn't share (or trip) the
+// circuit breaker used by live chat traffic. The session it opens is closed
+// afterwards so repeated probes don't pile up sessions on the server.
+async function probeMcp(url) {
+  const client = createMcpClient(url);
+  try {
+    const tools = await client.listTools({ timeoutMs: CHECK_TIMEOUT_MS });
+    return { tools: tools.length };
+  } finally {
+    await client.close({ timeoutMs: CHECK_TIMEOUT_MS });
+  }
+}
+
+export function createHealthChecks({
+  supabase,
+  openai,
+  mcpServers = {},
+  schools = () => [],
+  vapid = {},
+  checkOpenAI,
+  cacheMs = 15000
+} = {}) {
+  let lastReport = null;
+  let lastRunAt = 0;
+  let running = null;
+
+  const openAIProbe = checkOpenAI || (async () => {
+    if (!process.env.OPENAI_API_KEY) return { skipped: true, reason: "OPENAI_API_KEY not set" };
+    const page = await openai.models.list();
+    return { models: page?.data?.length ?? 0 };
+  });
+
+  function buildChecks() {
+    const checks = [];
+
+    for (const [name, url] of Object.entries(mcpServers)) {
+      checks.push(timed(name, "mcp", false, () => url ? probeMcp(url) : { skipped: true, reason: "URL not set" }));
+    }
+
+    // Several schools can share one MCP server — probe each URL once
+    const schoolUrls = new Map();
+    for (const school of schools()) {
+      if (!school.mcpUrl) continue;
+      const ids = schoolUrls.get(school.mcpUrl) || [];
+      schoolUrls.set(school.mcpUrl, [...ids, school.id]);
+    }
+    for (const [url, ids] of schoolUrls) {
+      checks.push(timed(`school:${ids.join(",")}`, "mcp", false, () => probeMcp(url)));
+    }
+
+    checks.push(timed("supabase", "database", true, async () => {
+      const { error, count } = await supabase
+        .from('xsen_stations')
+        .select('school', { count: 'exact', head: true });
+      if (error) throw new Error(error.message || "Supabase query failed");
+      return { stations: count };
+    }));
+
+    checks.push(timed("openai", "llm", true, openAIProbe));
+
+    checks.push(timed("vapid", "push", false, () => {
+      if (!vapid.publicKey && !vapid.privateKey) return { skipped: true, reason: "VAPID keys not set" };
+      if (!vapid.publicKey || !vapid.privateKey) throw new Error("Only one of VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY is set");
+      if (!vapid.configured()) throw new Error("VAPID keys rejected by web-push");
+      return { subject: vapid.subject };
+    }));
+
+    return checks;
+  }
+
+  async function run() {
+    const started = Date.now();
+    const dependencies = await Promise.all(buildChecks());
+
+    const failed = dependencies.filter(d => d.status === "down");
+    const status = failed.some(d => d.critical) ? "down" : failed.length ? "degraded" : "ok";
+
+    return {
+      status,
+      checkedAt: new Date().toISOString(),
+      durationMs: Date.now() - started,
+      dependencies
+    };
+  }
+
+  return {
+    // Reports are reused for cacheMs so a polling status page can't fan out
+    // a probe to every backend on each hit
+    async report({ fresh = false } = {}) {
+      if (!fresh && lastReport && Date.now() - lastRunAt < cacheMs) return lastReport;
+      if (!running) {
+        running = run()
+          .then(report => {
+            lastReport = report;
+            lastRunAt = Date.now();
+            return report;
+          })
+          .finally(() => { running = null; });
+      }
+      return running;
+    }
+  };
+}
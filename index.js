@@ -6,42 +6,97 @@ import path from "path";
 import { fileURLToPath } from "url";
 import OpenAI from "openai";
 import { createClient } from "@supabase/supabase-js";
-import { detectSchool, parseSport, parseToolName, fetchSchoolData, getAllSchools } from "./schools.js";
+import {
+  detectSchool, parseSport, parseToolName, fetchSchoolData, getAllSchools, getSchoolById, getTeamName, schoolPattern,
+  reloadSchools, onSchoolsReload, publicSchool, getSchoolsLoadedAt
+} from "./schools.js";
+import { createSessionStore } from "./sessionStore.js";
+import { createTriviaStore } from "./triviaStore.js";
+import { defaultSeasonYear, scheduleMonth, scheduleNote, seasonPromptLines, seasonStatus, sportKey } from "./seasonCalendar.js";
+import { PUSH_TOPICS, normalizePreferences, wantsPush, describePreferences } from "./pushTopics.js";
+import { createPushScheduler, createGameReminders, SCHEDULED_STATUSES } from "./pushScheduler.js";
+import { createPushDelivery } from "./pushDelivery.js";
+import { createScoreWatcher, parseScore } from "./scoreWatcher.js";
+import { createLiveStreamWatcher } from "./liveStreamWatcher.js";
+import { createApiAuth, API_ACTIONS } from "./apiAuth.js";
+import { createChatIdentity } from "./chatIdentity.js";
+import { createRateLimiter } from "./rateLimiter.js";
+import { createTts, TTS_VOICES, DEFAULT_VOICE } from "./tts.js";
+import { getMcpClient, mcpCallTool, getMcpCacheStats, getMcpCircuits } from "./mcpClient.js";
+import { createHealthChecks } from "./health.js";
+import { createToolRegistry } from "./toolRegistry.js";
+import {
+  nextQuestion, formatQuestion, startRound, answerRound, endRound,
+  saveRoundResult, getPersonalBest, MIN_ROUND_QUESTIONS, MAX_ROUND_QUESTIONS, DEFAULT_ROUND_QUESTIONS,
+  recordAnswer, getLeaderboard, getPlayerStats, LEADERBOARD_PERIODS,
+  filterQuestions, DIFFICULTIES
+} from "./trivia.js";
 
 console.log("MCP KEY PRESENT:", !!process.env.MCP_API_KEY);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const app = express();
+// Railway terminates TLS in front of us; req.ip should be the fan, not the proxy
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const triviaStore = createTriviaStore(supabase);
+const apiAuth = createApiAuth({ supabase });
+const chatIdentity = createChatIdentity({ supabase });
+const rateLimiter = createRateLimiter({ supabase });
+
+// 429 with Retry-After for a refused rateLimiter.consume(); `response` is
+// what the chat UI shows
+function sendRateLimited(res, limited, response) {
+  res.set('Retry-After', String(limited.retryAfter));
+  return res.status(429).json({
+    error: limited.error,
+    response: response || limited.error,
+    scope: limited.scope,
+    retryAfter: limited.retryAfter,
+    ...(limited.resetAt && { resetAt: limited.resetAt })
+  });
+}
+if (!process.env.ADMIN_API_KEY) console.warn("⚠️ ADMIN_API_KEY not set — admin routes only accept api_credentials keys");
+
 // ─── CORS MUST BE FIRST ───────────────────────────────
 app.use(cors({
   origin: /^https:\/\/(.*\.)?xsen\.fun$/,
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-XSEN-Timestamp", "X-XSEN-Signature", "X-XSEN-Session"],
   credentials: false
 }));
 
 app.options("*", cors());
-app.use(express.json());
+// Raw bytes are kept for HMAC-signed requests (apiAuth.js)
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+// Bulk trivia imports are bigger than the default 100kb body limit
+app.use("/admin/trivia", express.json({ limit: "5mb", verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
 
 // ─── ROUTES COME AFTER ────────────────────────────────
-app.get("/", (req, res) => {
+app.get("/", async (req, res) => {
+  const triviaLoaded = await triviaStore.all("sooners").then(q => q.length).catch(() => 0);
   res.json({
     status: "ok",
     service: "XSEN Orchestrator",
     uptime: process.uptime(),
-    triviaLoaded: TRIVIA.length,
+    triviaLoaded,
+    triviaStore: triviaStore.stats(),
     videoEnabled: Boolean(VIDEO_AGENT_URL),
     espnEnabled: Boolean(ESPN_MCP_URL),
     cfbdEnabled: Boolean(CFBD_MCP_URL),
     ncaaWomensEnabled: Boolean(NCAA_WOMENS_MCP_URL),
-    gymnasticsEnabled: Boolean(GYMNASTICS_MCP_URL)
+    gymnasticsEnabled: Boolean(GYMNASTICS_MCP_URL),
+    mcpCache: getMcpCacheStats(),
+    mcpCircuits: getMcpCircuits(),
+    ttsCache: tts.stats(),
+    dynamicTools: DYNAMIC_TOOLS ? toolRegistry.snapshot() : false
   });
 });
 
@@ -49,24 +104,68 @@ app.get("/", (req, res) => {
 /*                         TOOL FUNCTIONS FOR LLM                      */
 /* ------------------------------------------------------------------ */
 
-async function getTriviaQuestion(schoolId) {
-  const TRIVIA = loadTrivia(schoolId || 'sooners');
-  if (!TRIVIA.length) {
-    return { error: "Trivia not loaded" };
-  }
-  
-  const q = TRIVIA[Math.floor(Math.random() * TRIVIA.length)];
-  const mcq = buildMCQ(q, TRIVIA);
-  
-  if (!mcq.question || !mcq.options?.length || mcq.correctIndex < 0) {
-    return { error: "Failed to generate trivia question" };
+// Request school → schools.json entry, falling back to the default school
+function resolveSchool(schoolId) {
+  return getSchoolById(schoolId) || getAllSchools().find(s => s.isDefault);
+}
+
+// Filtered trivia pool for a school; falls back to wider pools when the
+// requested difficulty/category/sport has too few questions. Schools without
+// their own questions get the Sooners set.
+async function triviaPool(schoolId, filters) {
+  let all = [];
+  try {
+    all = await triviaStore.all(schoolId || 'sooners');
+    if (!all.length) all = await triviaStore.all('sooners');
+  } catch (err) {
+    console.error('❌ Trivia load error:', err.message);
   }
-  
+  return filterQuestions(all, filters);
+}
+
+// Tells the model which filters had to be dropped so it can say so
+function relaxedNote(relaxed) {
+  if (!relaxed.length) return undefined;
+  return `Not enough questions matched the requested ${relaxed.join(" and ")}, so that filter was widened. Mention this briefly to the fan.`;
+}
+
+async function getTriviaQuestion(schoolId, session, filters = {}) {
+  const { pool, applied, relaxed } = await triviaPool(schoolId, filters);
+  const q = nextQuestion(session, schoolId || 'sooners', pool);
+  if (q.error) return q;
+
+  return {
+    id: q.id,
+    question: q.question,
+    options: q.options,
+    correctIndex: q.correctIndex,
+    explanation: q.explanation,
+    category: q.category,
+    difficulty: q.difficulty,
+    sport: q.sport,
+    filters: applied,
+    note: relaxedNote(relaxed)
+  };
+}
+
+async function startTriviaRound(schoolId, session, count, filters = {}) {
+  const { pool, applied, relaxed } = await triviaPool(schoolId, filters);
+  const first = startRound(session, schoolId || 'sooners', pool, count, applied);
+  if (first.error) return first;
+
+  // A round supersedes any pending single question
+  session.active = false;
+
   return {
-    question: mcq.question,
-    options: mcq.options.map((o, i) => `${["A", "B", "C", "D"][i]}. ${o}`),
-    correctIndex: mcq.correctIndex,
-    explanation: mcq.explanation
+    round: first.round,
+    question: first.question,
+    options: first.options,
+    category: first.category,
+    difficulty: first.difficulty,
+    sport: first.sport,
+    filters: applied,
+    note: relaxedNote(relaxed),
+    instructions: `Present this as question 1 of ${first.round.total}. Do not reveal the answer — the fan replies with A, B, C, or D.`
   };
 }
 
@@ -100,18 +199,21 @@ async function searchVideos(query, schoolId) {
   }
 }
 
-async function getESPNStats(query) {
+async function getESPNStats(query, schoolId) {
   if (!ESPN_MCP_URL) {
     return { error: "ESPN stats not configured" };
   }
   
-  console.log(`\n📊 ESPN Stats Request: "${query}"`);
+  const school = resolveSchool(schoolId);
+  const team = getTeamName(school, "espn");
+
+  console.log(`\n📊 ESPN Stats Request: "${query}" team: ${team}`);
   console.log(`🔗 ESPN_MCP_URL: ${ESPN_MCP_URL}`);
   
   const lowerQuery = query.toLowerCase();
   
   let toolName = "get_score";
-  let args = { team: "Oklahoma", sport: "football" };
+  let args = { team: team, sport: "football" };
   
   let sport = "football";
   if (/basketball|hoops|bball/i.test(query)) {
@@ -140,7 +242,7 @@ async function getESPNStats(query) {
   }
   else if (/schedule|upcoming|next game|when does|when do/i.test(query)) {
     toolName = "get_schedule";
-    args = { team: "Oklahoma", sport: sport };
+    args = { team: team, sport: sport };
   }
   else if (/ncaa rankings?|college rankings?|division rankings?/i.test(query)) {
     toolName = "get_ncaa_rankings";
@@ -155,7 +257,7 @@ async function getESPNStats(query) {
     toolName = "get_ncaa_scoreboard";
     args = { sport: sport };
   }
-  else if (/scoreboard|all games|today'?s games|games today/i.test(query) && !/oklahoma|ou|sooners/i.test(query)) {
+  else if (/scoreboard|all games|today'?s games|games today/i.test(query) && !schoolPattern(school).test(query)) {
     toolName = "get_scoreboard";
     args = { sport: sport };
     const dateMatch = query.match(/\d{8}/);
@@ -163,31 +265,32 @@ async function getESPNStats(query) {
   }
   else {
     toolName = "get_score";
-    args = { team: "Oklahoma", sport: sport };
+    args = { team: team, sport: sport };
   }
   
   console.log(`🔧 Using ESPN tool: ${toolName}`, args);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJson(ESPN_MCP_URL, payload, 15000, "tools/call");
+  const result = await mcpCallTool(ESPN_MCP_URL, toolName, args, 15000);
   
   console.log(`📊 ESPN Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    const responseText = extractMcpText(result.json) || result.text || "";
+  if (result.ok) {
+    const responseText = result.text || "";
     console.log(`✅ ESPN Response:`, responseText.substring(0, 200));
-    if (toolName === "get_schedule" && responseText && !responseText.includes("TBD") && !responseText.includes("upcoming")) {
-      return { data: responseText + "\n\nNote: This is the completed 2025 season schedule. The 2026 schedule has not been released yet." };
+    const note = toolName === "get_schedule" && responseText && !responseText.includes("TBD") && !responseText.includes("upcoming")
+      && scheduleNote(school, sport);
+    if (note) {
+      return { data: `${responseText}\n\n${note}` };
     }
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || "ESPN request failed";
+    const errorMsg = result.error || "ESPN request failed";
     console.error(`❌ ESPN Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
 
-async function getCFBDHistory(query) {
+async function getCFBDHistory(query, schoolId) {
   if (!CFBD_MCP_URL) {
     return { error: "CFBD history not configured" };
   }
@@ -197,7 +300,11 @@ async function getCFBDHistory(query) {
     return { error: "This appears to be a basketball query. Please use the basketball tool instead." };
   }
   
-  console.log(`\n📚 CFBD History Request: "${query}"`);
+  const school = resolveSchool(schoolId);
+  const team = getTeamName(school, "cfbd");
+  const ownTeam = schoolPattern(school, "gi");
+
+  console.log(`\n📚 CFBD History Request: "${query}" team: ${team}`);
   console.log(`🔗 CFBD_MCP_URL: ${CFBD_MCP_URL}`);
   
   const lowerQuery = query.toLowerCase();
@@ -208,22 +315,22 @@ async function getCFBDHistory(query) {
     year = parseInt(yearMatch[1]);
     console.log(`📅 Extracted year from query: ${year}`);
   } else {
-    year = new Date().getMonth() < 7 ? new Date().getFullYear() - 1 : new Date().getFullYear();
+    year = defaultSeasonYear(school, "football");
     console.log(`📅 Using default year: ${year}`);
   }
   
   let toolName = "get_team_records";
-  let args = { team: "Oklahoma" };
+  let args = { team: team };
   
   if (/game[- ]?by[- ]?game|each game|every game/i.test(query) || 
       (/game stats/i.test(query) && /\bvs\.?\b|\bagainst\b/i.test(query))) {
     toolName = "get_game_stats";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
     
     if (/\bvs\.?\b|\bagainst\b/i.test(query)) {
       let opponent = query
         .toLowerCase()
-        .replace(/\b(oklahoma|sooners|ou)\b/gi, "")
+        .replace(ownTeam, "")
         .replace(/\b(vs\.?|against|game|stats|football)\b/gi, "")
         .replace(/\b(19\d{2}|20\d{2})\b/gi, "")
         .trim();
@@ -232,6 +339,7 @@ async function getCFBDHistory(query) {
       else if (/nebraska/i.test(opponent)) opponent = "Nebraska";
       else if (/alabama|bama/i.test(opponent)) opponent = "Alabama";
       else if (/oklahoma state|osu|cowboys|pokes/i.test(opponent)) opponent = "Oklahoma State";
+      else if (/oklahoma|sooners|\bou\b/i.test(opponent)) opponent = "Oklahoma";
       
       if (opponent) {
         args.opponent = opponent;
@@ -242,7 +350,7 @@ async function getCFBDHistory(query) {
     toolName = "get_team_matchup";
     let opponent = query
       .toLowerCase()
-      .replace(/\b(oklahoma|sooners|ou)\b/gi, "")
+      .replace(ownTeam, "")
       .replace(/\b(vs\.?|against|versus|all[- ]time|record|history|head[- ]?to[- ]?head)\b/gi, "")
       .replace(/\b(football|basketball|game)\b/gi, "")
       .replace(/\b(19\d{2}|20\d{2})\b/gi, "")
@@ -252,11 +360,16 @@ async function getCFBDHistory(query) {
     else if (/nebraska/i.test(opponent)) opponent = "Nebraska";
     else if (/alabama|bama/i.test(opponent)) opponent = "Alabama";
     else if (/oklahoma state|osu|cowboys|pokes/i.test(opponent)) opponent = "Oklahoma State";
+    else if (/oklahoma|sooners|\bou\b/i.test(opponent)) opponent = "Oklahoma";
     else if (/kansas/i.test(opponent) && !/state/i.test(opponent)) opponent = "Kansas";
-    else if (!opponent) opponent = "Texas";
+    else if (!opponent) opponent = school.rival;
+
+    if (!opponent) {
+      return { error: `Please name the opponent you want ${school.displayName}'s all-time record against.` };
+    }
     
     args = {
-      team1: "Oklahoma",
+      team1: team,
       team2: opponent,
       minYear: 1900
     };
@@ -270,73 +383,77 @@ async function getCFBDHistory(query) {
     (/\b[A-Z][a-z]+\s+[A-Z][a-z]+.*stats/i.test(query) && !/team stats|season stats/i.test(query))
   ) {
     toolName = "get_player_stats";
-    args = { team: "Oklahoma", year: year, query: query };
+    args = { team: team, year: year, query: query };
   }
   else if (/team stats|season stats|total yards|total touchdowns|offensive stats|defensive stats/i.test(query)) {
     toolName = "get_team_stats";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/standings?|conference|big 12|sec/i.test(query)) {
     toolName = "get_conference_standings";
-    const conference = /sec/i.test(query) ? "SEC" : "Big 12";
+    const conference = /\bsec\b/i.test(query) ? "SEC" : /big 12/i.test(query) ? "Big 12" : school.conference;
     args = { conference: conference, year: year };
   }
   else if (/recruit/i.test(query)) {
     toolName = "get_recruiting";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/talent|composite/i.test(query)) {
     toolName = "get_team_talent";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/ranking|poll|ap|coaches|playoff ranking|final ranking/i.test(query)) {
     toolName = "get_team_rankings";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/schedule|upcoming|next game|remaining games/i.test(query)) {
     toolName = "get_schedule";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/returning|production|who'?s back|veterans/i.test(query)) {
     toolName = "get_returning_production";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/stadium|venue|gaylord|memorial stadium|where do they play/i.test(query)) {
     toolName = "get_venue_info";
-    args = { team: "Oklahoma" };
+    args = { team: team };
   }
   else {
     toolName = "get_team_records";
-    args = { team: "Oklahoma", startYear: 2020, endYear: year };
+    args = { team: team, startYear: 2020, endYear: year };
   }
   
   console.log(`🔧 Using CFBD tool: ${toolName}`, args);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJson(CFBD_MCP_URL, payload, 7000, "tools/call");
+  const result = await mcpCallTool(CFBD_MCP_URL, toolName, args, 7000);
   
   console.log(`📊 CFBD Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    const responseText = extractMcpText(result.json) || result.text || "";
+  if (result.ok) {
+    const responseText = result.text || "";
     console.log(`✅ CFBD Response:`, responseText.substring(0, 200));
-    if (toolName === "get_schedule" && responseText && !responseText.includes("TBD") && !responseText.includes("upcoming")) {
-      return { data: responseText + "\n\nNote: This is the completed 2025 season schedule. The 2026 schedule has not been released yet." };
+    const note = toolName === "get_schedule" && responseText && !responseText.includes("TBD") && !responseText.includes("upcoming")
+      && scheduleNote(school, "football");
+    if (note) {
+      return { data: `${responseText}\n\n${note}` };
     }
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || "CFBD request failed";
+    const errorMsg = result.error || "CFBD request failed";
     console.error(`❌ CFBD Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
 
-async function getCFBDBasketball(query) {
+async function getCFBDBasketball(query, schoolId) {
   if (!CFBD_BASKETBALL_MCP_URL) {
     return { error: "CFBD Basketball not configured" };
   }
   
-  console.log(`\n🏀 CFBD Basketball Request: "${query}"`);
+  const school = resolveSchool(schoolId);
+  const team = getTeamName(school, "cfbd");
+
+  console.log(`\n🏀 CFBD Basketball Request: "${query}" team: ${team}`);
   console.log(`🔗 CFBD_BASKETBALL_MCP_URL: ${CFBD_BASKETBALL_MCP_URL}`);
   
   const lowerQuery = query.toLowerCase();
@@ -346,59 +463,58 @@ async function getCFBDBasketball(query) {
   if (yearMatch) {
     year = parseInt(yearMatch[1]);
   } else {
-    year = new Date().getFullYear();
+    year = defaultSeasonYear(school, "mens-basketball");
   }
   
   let toolName = "get_basketball_score";
-  let args = { team: "Oklahoma", year: year };
+  let args = { team: team, year: year };
   
   if (/shooting|3pt|three point|fg%|field goal|free throw|ft%/i.test(query)) {
     toolName = "get_basketball_shooting_stats";
-    args = { team: "Oklahoma", year: year, query: query };
+    args = { team: team, year: year, query: query };
   }
   else if (
     /player stats|individual stats|who led|leading|top scorer/i.test(query) ||
     (/\b[A-Z][a-z]+\s+[A-Z][a-z]+.*stats/i.test(query) && !/team stats|season stats/i.test(query))
   ) {
     toolName = "get_basketball_player_stats";
-    args = { team: "Oklahoma", year: year, query: query };
+    args = { team: team, year: year, query: query };
   }
   else if (/team stats|season stats/i.test(query)) {
     toolName = "get_basketball_team_stats";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/schedule|upcoming|next game|remaining games/i.test(query)) {
     toolName = "get_basketball_schedule";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/ranking|poll|ap|coaches/i.test(query)) {
     toolName = "get_basketball_rankings";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   else if (/roster|players|team list/i.test(query)) {
     toolName = "get_basketball_roster";
-    args = { team: "Oklahoma", year: year };
+    args = { team: team, year: year };
   }
   
   console.log(`🔧 Using Basketball tool: ${toolName}`, args);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJson(CFBD_BASKETBALL_MCP_URL, payload, 7000, "tools/call");
+  const result = await mcpCallTool(CFBD_BASKETBALL_MCP_URL, toolName, args, 7000);
   
   console.log(`📊 Basketball Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    const responseText = extractMcpText(result.json) || result.text || "";
+  if (result.ok) {
+    const responseText = result.text || "";
     console.log(`✅ Basketball Response:`, responseText.substring(0, 200));
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || "Basketball request failed";
+    const errorMsg = result.error || "Basketball request failed";
     console.error(`❌ Basketball Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
 
-async function getNCAAWomensSports(query) {
+async function getNCAAWomensSports(query, schoolId) {
   if (!NCAA_WOMENS_MCP_URL) {
     return { error: "NCAA Women's Sports not configured" };
   }
@@ -452,31 +568,8 @@ async function getNCAAWomensSports(query) {
         args.month = String(new Date().getMonth() + 1).padStart(2, '0');
       }
    } else {
-      const now = new Date();
-      const month = now.getMonth() + 1;
-
-      if (sport === 'volleyball' || sport === 'soccer') {
-        if (month >= 8) {
-          args.year = String(now.getFullYear());
-          args.month = String(month).padStart(2, '0');
-        } else {
-          args.year = String(now.getFullYear() - 1);
-          args.month = '11';
-        }
-      } else if (sport === 'softball') {
-        if (month >= 2 && month <= 5) {
-          args.year = String(now.getFullYear());
-          args.month = String(month).padStart(2, '0');
-        } else {
-          args.year = month > 5
-            ? String(now.getFullYear())
-            : String(now.getFullYear() - 1);
-          args.month = '04';
-        }
-      } else {
-        args.year = String(now.getFullYear());
-        args.month = String(month).padStart(2, '0');
-      }
+      // This month while the sport is in season, else the end of its last season
+      Object.assign(args, scheduleMonth(resolveSchool(schoolId), sport));
     }
   }
   else if (/ranking|ranked|poll|top 25/i.test(query)) {
@@ -494,28 +587,30 @@ async function getNCAAWomensSports(query) {
   
   console.log(`🔧 Using NCAA Women's tool: ${toolName}`, args);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJson(NCAA_WOMENS_MCP_URL, payload, 30000, "tools/call");
+  const result = await mcpCallTool(NCAA_WOMENS_MCP_URL, toolName, args, 30000);
   
   console.log(`📊 NCAA Women's Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    const responseText = extractMcpText(result.json) || result.text || "";
+  if (result.ok) {
+    const responseText = result.text || "";
     console.log(`✅ NCAA Women's Response:`, responseText.substring(0, 200));
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || "NCAA Women's Sports request failed";
+    const errorMsg = result.error || "NCAA Women's Sports request failed";
     console.error(`❌ NCAA Women's Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
 
-async function getGymnastics(query) {
+async function getGymnastics(query, schoolId) {
   if (!GYMNASTICS_MCP_URL) {
     return { error: "Gymnastics not configured" };
   }
   
-  console.log(`\n🤸 Gymnastics Request: "${query}"`);
+  const school = resolveSchool(schoolId);
+  const team = getTeamName(school, "gymnastics");
+
+  console.log(`\n🤸 Gymnastics Request: "${query}" team: ${team}`);
   console.log(`🔗 GYMNASTICS_MCP_URL: ${GYMNASTICS_MCP_URL}`);
   
   const isMens = /\bmen'?s\b|\bmale\b/i.test(query);
@@ -524,7 +619,7 @@ async function getGymnastics(query) {
   console.log(`🎯 Detected gender: ${gender}`);
   
   let toolName = null;
-  let args = { year: String(new Date().getFullYear()) };
+  let args = { team, year: String(defaultSeasonYear(school, "womens-gymnastics")) };
   
   if (/score|result|meet|final/i.test(query)) {
     toolName = `get_${gender}_gymnastics_scores`;
@@ -551,19 +646,18 @@ async function getGymnastics(query) {
   
   console.log(`🔧 Using Gymnastics tool: ${toolName}`, args);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJson(GYMNASTICS_MCP_URL, payload, 7000, "tools/call");
+  const result = await mcpCallTool(GYMNASTICS_MCP_URL, toolName, args, 7000);
   
   console.log(`📊 Gymnastics Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    const responseText = extractMcpText(result.json) || result.text || "";
+  if (result.ok) {
+    const responseText = result.text || "";
     console.log(`✅ Gymnastics Response:`, responseText.substring(0, 200));
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || "Gymnastics request failed";
+    const errorMsg = result.error || "Gymnastics request failed";
     console.error(`❌ Gymnastics Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
 
@@ -653,34 +747,35 @@ async function getSchoolAthletics(query, schoolId) {
     args = { position: posMatch ? posMatch[1].toUpperCase() : 'QB' };
   }
   
-  return await fetchSchoolData(school, toolName, args, fetchJson, extractMcpText);
+  return await fetchSchoolData(school, toolName, args);
 }
 
 async function getSchoolNews(query, schoolId) {
   console.log(`\n📰 School News Request: "${query}" for school: ${schoolId}`);
 
-  try {
-    const school = schoolId || 'oklahoma';
+  const school = resolveSchool(schoolId);
+  const noNews = `No current news or updates available right now.${school?.athleticsSite ? ` Check ${school.athleticsSite} for the latest.` : ""}`;
 
+  try {
     const { data, error } = await supabase
       .from('xsen_news')
       .select('*')
       .eq('active', true)
-      .or(`school.eq.${school},school.eq.ALL`)
+      .or(`school.eq.${school?.id},school.eq.ALL`)
       .order('created_at', { ascending: false })
       .limit(5);
 
     if (error) throw error;
     console.log(`📰 Supabase query result: ${data?.length} rows, error: ${JSON.stringify(error)}`);
     if (!data || data.length === 0) {
-      return { data: "No current news or updates available right now. Check soonersports.com for the latest." };
+      return { data: noNews };
     }
 
     const now = new Date();
     const valid = data.filter(n => !n.expires_at || new Date(n.expires_at) > now);
 
     if (!valid.length) {
-      return { data: "No current news or updates available right now. Check soonersports.com for the latest." };
+      return { data: noNews };
     }
 
     const formatted = valid.map(n => {
@@ -707,13 +802,40 @@ function isNewsQuery(text = "") {
 /*                      OPENAI FUNCTION TOOLS                         */
 /* ------------------------------------------------------------------ */
 
+// Shared by get_trivia_question and start_trivia_round — only set these when
+// the fan asks for them ("hard trivia", "basketball quiz")
+const TRIVIA_FILTER_PARAMS = {
+  difficulty: { type: "string", enum: DIFFICULTIES, description: "Question difficulty, only if the user asks for one" },
+  category: { type: "string", description: "Trivia category, e.g. 'OU Sooners' or a topic like 'bowl games'" },
+  sport: { type: "string", description: "Sport to ask about, e.g. 'football', 'basketball', 'softball', 'wrestling'" }
+};
+
 const tools = [
   {
     type: "function",
     function: {
       name: "get_trivia_question",
       description: "Get a random OU Sooners trivia question with multiple choice answers. ONLY use when user explicitly asks for 'trivia', 'quiz', or 'test my knowledge'.",
-      parameters: { type: "object", properties: {}, required: [] }
+      parameters: {
+        type: "object",
+        properties: TRIVIA_FILTER_PARAMS,
+        required: []
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "start_trivia_round",
+      description: "Start a multi-question trivia game with scoring and streaks. Use when the user asks for a trivia 'round', 'game', 'challenge', or a number of questions (e.g. '5 trivia questions'). Presents question 1; later answers are scored automatically.",
+      parameters: {
+        type: "object",
+        properties: {
+          questions: { type: "integer", minimum: MIN_ROUND_QUESTIONS, maximum: MAX_ROUND_QUESTIONS, description: `How many questions in the round (default ${DEFAULT_ROUND_QUESTIONS})` },
+          ...TRIVIA_FILTER_PARAMS
+        },
+        required: []
+      }
     }
   },
   {
@@ -830,6 +952,41 @@ const tools = [
   }
 ];
 
+const STATIC_TOOL_RULES = `IMPORTANT TOOL USAGE RULES:
+- get_trivia_question: ONLY when user explicitly says "trivia", "quiz", or "test me"
+- start_trivia_round: When user wants a trivia ROUND, GAME, or several questions in a row
+- search_videos: ONLY when user asks for "video", "highlight", "watch", or "show me"
+- get_espn_stats: For CURRENT/RECENT games (today, this week, latest score). DO NOT use for schedule queries if get_cfbd_history already returned data.
+- get_cfbd_history: For FOOTBALL all-time records, historical matchups, "vs", series records, AND PLAYER SEASON STATS. DO NOT use for schedules — use get_school_athletics instead
+- get_cfbd_basketball: For ANY BASKETBALL queries (scores, stats, schedule, rankings, roster)
+- get_ncaa_womens_sports: For WOMEN'S SPORTS scores/schedules/rankings/stats (NOT rosters)
+- get_gymnastics: For GYMNASTICS queries (both men's and women's) - BOTH OU TEAMS ARE #1!
+- get_school_athletics: For ROSTERS, PLAYER BIOS, DEPTH CHARTS, INJURY REPORTS, STANDINGS, PLAYER STATS, TEAM INFO, and FOOTBALL RECRUITING
+- get_school_news: For BREAKING NEWS, ROSTER MOVES, TRANSFERS, and RECRUITING UPDATES from our news feed`;
+
+// Tools that don't come from an MCP server stay available in dynamic mode
+const CORE_TOOL_NAMES = ["get_trivia_question", "start_trivia_round", "search_videos", "get_school_news"];
+
+function toolsFor(school) {
+  if (!DYNAMIC_TOOLS) return tools;
+  return [
+    ...tools.filter(t => CORE_TOOL_NAMES.includes(t.function.name)),
+    ...toolRegistry.openAITools(school)
+  ];
+}
+
+function toolUsageRules(school) {
+  if (!DYNAMIC_TOOLS) return STATIC_TOOL_RULES;
+  return `IMPORTANT TOOL USAGE RULES:
+- get_trivia_question: ONLY when user explicitly says "trivia", "quiz", or "test me"
+- start_trivia_round: When user wants a trivia ROUND, GAME, or several questions in a row
+- search_videos: ONLY when user asks for "video", "highlight", "watch", or "show me"
+- get_school_news: For BREAKING NEWS, ROSTER MOVES, TRANSFERS, and RECRUITING UPDATES from our news feed
+- Every other tool is named <source>__<tool>. Sources:
+${toolRegistry.describe(school).join("\n")}
+- When a tool takes a team argument, use "${getTeamName(school, "espn")}" for espn__ tools and "${getTeamName(school, "cfbd")}" for cfbd__ tools. school__ tools already know the school.`;
+}
+
 /* ------------------------------------------------------------------ */
 /*                           HEARTBEAT                                 */
 /* ------------------------------------------------------------------ */
@@ -853,87 +1010,142 @@ try {
 }
 
 // ─── SEND PUSH TO SCHOOL SUBSCRIBERS ─────────────────────────────────────────
-async function sendPushToSchool(schoolId, payload) {
-  if (!vapidConfigured) return { sent: 0, failed: 0 };
+// Sends to the school's subscribers who opted into `topic` (and `sport`) —
+// see pushTopics.js. Each send is recorded as a campaign (pushDelivery.js).
+const pushDelivery = createPushDelivery({
+  supabase,
+  webpush,
+  concurrency: parseInt(process.env.PUSH_CONCURRENCY, 10) || undefined
+});
 
-  const schoolIdMap = { 'OU': 'sooners', 'OSU': 'okstate', 'TEXAS': 'texas', 'ALL': 'sooners' };
-  const normalizedId = schoolIdMap[schoolId] || schoolId;
+// Push senders still use station codes for some schools. Credential scope
+// checks resolve through the same table, so they always match delivery.
+const PUSH_SCHOOL_ALIASES = { OU: 'sooners', OSU: 'okstate', TEXAS: 'texas', ALL: 'sooners' };
+function pushSchoolId(id) {
+  return typeof id === 'string' && id ? PUSH_SCHOOL_ALIASES[id] || id.toLowerCase() : null;
+}
 
-  const { data: subs, error } = await supabase
-    .from('push_subscriptions')
-    .select('*')
-    .eq('school_id', normalizedId)
-    .eq('active', true);
+async function sendPushToSchool(schoolId, payload, { topic = 'announcements', sport, source } = {}) {
+  if (!vapidConfigured) return { sent: 0, failed: 0 };
 
-  if (error || !subs?.length) {
-    console.log(`📭 No push subscribers for ${normalizedId} (input: ${schoolId})`);
-    return { sent: 0, failed: 0 };
-  }
+  const normalizedId = pushSchoolId(schoolId);
 
-  console.log(`📣 Sending push to ${subs.length} subscribers for ${schoolId}`);
-  let sent = 0, failed = 0;
-  const expired = [];
+  console.log(`📣 Sending ${topic} push to ${normalizedId} (input: ${schoolId})`);
+  return pushDelivery.send(normalizedId, payload, { topic, sport, source });
+}
 
-  for (const sub of subs) {
-    try {
-      await webpush.sendNotification(
-        { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
-        JSON.stringify(payload)
-      );
-      sent++;
-    } catch (err) {
-      failed++;
-      if (err.statusCode === 410 || err.statusCode === 404) expired.push(sub.id);
-    }
+// ─── SCHEDULED PUSHES + GAME REMINDERS ────────────────────────────────────────
+const pushScheduler = createPushScheduler({
+  supabase,
+  send: (job) => sendPushToSchool(job.school_id, job.payload, { topic: job.topic, sport: job.sport, source: 'scheduled' })
+});
+// Without VAPID nothing can be delivered, so due jobs stay pending rather
+// than being marked sent to nobody
+if (vapidConfigured) pushScheduler.start();
+else console.warn('⚠️ Push scheduler not started — scheduled pushes stay pending until VAPID is configured');
+
+// structuredContent, or the text body when it's JSON, or null for prose
+function structuredToolResult(result) {
+  if (result.result?.structuredContent) return result.result.structuredContent;
+  try {
+    return JSON.parse(result.text);
+  } catch {
+    return null;
   }
+}
 
-  if (expired.length) {
-    await supabase.from('push_subscriptions').update({ active: false }).in('id', expired);
-  }
+// ESPN get_schedule → [{ id, startsAt, opponent, home, venue }]. Reminders
+// need real start times, so only structured replies are used; prose
+// schedules are skipped.
+async function fetchUpcomingGames(school, sport) {
+  if (!ESPN_MCP_URL) return [];
+  const result = await mcpCallTool(ESPN_MCP_URL, "get_schedule", { team: getTeamName(school, "espn"), sport: sportKey(sport) }, 15000);
+  if (!result.ok) throw new Error(result.error || "ESPN schedule request failed");
+
+  const data = structuredToolResult(result);
+  if (!data) return [];
+
+  const games = Array.isArray(data) ? data : data?.games || data?.events || [];
+  return games
+    .map(g => ({
+      id:       g.id ?? g.gameId ?? null,
+      startsAt: g.startsAt || g.startDate || g.start_date || g.date,
+      opponent: g.opponent?.name || g.opponent || g.opponentName || null,
+      home:     g.home ?? g.isHome ?? (g.homeAway ? g.homeAway === 'home' : undefined),
+      venue:    g.venue?.name || g.venue || null
+    }))
+    .filter(g => g.startsAt && !Number.isNaN(Date.parse(g.startsAt)));
+}
 
-  console.log(`✅ Push complete — sent: ${sent}, failed: ${failed}`);
-  return { sent, failed };
+// GAME_REMINDERS=on queues pushes GAME_REMINDER_OFFSETS minutes (default 60)
+// before each game, for subscribers on the game-reminders topic
+if ((process.env.GAME_REMINDERS || "").toLowerCase() === "on") {
+  createGameReminders({
+    scheduler: pushScheduler,
+    schools: getAllSchools,
+    seasonStatus,
+    fetchGames: fetchUpcomingGames,
+    offsetsMinutes: (process.env.GAME_REMINDER_OFFSETS || "60").split(",").map(Number).filter(n => n > 0)
+  }).start();
 }
 
-// ─── YOUTUBE LIVE WATCHER ─────────────────────────────────────────────────────
-const liveStreamState = new Map();
+// ─── LIVE SCORE ALERTS ────────────────────────────────────────────────────────
+// ESPN get_score → parseScore shape (scoreWatcher.js), or null
+async function fetchLiveScore(school, sport) {
+  const team = getTeamName(school, "espn");
+  const result = await mcpCallTool(ESPN_MCP_URL, "get_score", { team, sport: sportKey(sport) }, 15000);
+  if (!result.ok) throw new Error(result.error || "ESPN score request failed");
+  const data = structuredToolResult(result);
+  return data ? parseScore(data, team) : null;
+}
 
-async function checkYouTubeLiveStreams() {
-  try {
-    const { data: stations } = await supabase
-      .from('xsen_stations')
-      .select('school, youtube_live_id')
-      .not('school', 'is', null);
-
-    if (!stations) return;
-
-    for (const station of stations) {
-      const schoolId     = station.school;
-      const newStreamId  = station.youtube_live_id || null;
-      const prevStreamId = liveStreamState.get(schoolId);
-
-      if (newStreamId && !prevStreamId) {
-        console.log(`🔴 Live stream detected for ${schoolId}`);
-        const names = { sooners: 'OU Sooners', okstate: 'OSU Cowboys', texas: 'Texas Longhorns' };
-        await sendPushToSchool(schoolId, {
-          title: '🔴 LIVE Now on XSEN!',
-          body:  `${names[schoolId] || schoolId} is streaming live — tune in!`,
-          icon:  '/icons/icon-192x192.png',
-          tag:   'xsen-live',
-          url:   `https://xsen.fun/${schoolId}/app.html`
-        });
-      }
+// SCORE_ALERTS=on pushes kickoff / scoring / halftime / final during game
+// windows to subscribers on the scores topic
+if ((process.env.SCORE_ALERTS || "").toLowerCase() === "on" && process.env.ESPN_MCP_URL) {
+  createScoreWatcher({
+    supabase,
+    schools: getAllSchools,
+    seasonStatus,
+    fetchGames: fetchUpcomingGames,
+    fetchScore: fetchLiveScore,
+    send: (schoolId, payload, opts) => sendPushToSchool(schoolId, payload, { ...opts, source: 'scores' })
+  }).start().catch(err => console.error('❌ Score watcher start error:', err.message));
+}
 
-      liveStreamState.set(schoolId, newStreamId);
-    }
-  } catch (err) {
-    console.error('❌ YouTube Live watcher error:', err.message);
+// ─── YOUTUBE LIVE WATCHER ─────────────────────────────────────────────────────
+// State and debounce live in liveStreamWatcher.js. LIVE_DEBOUNCE_SECONDS
+// (default 60) sets how long a changed stream id must hold before it counts;
+// LIVE_ENDED_PUSH=on adds a "watch the replay" push when a stream ends.
+const LIVE_STREAM_NAMES = { sooners: 'OU Sooners', okstate: 'OSU Cowboys', texas: 'Texas Longhorns' };
+
+function liveStreamPayload(event, schoolId, streamId) {
+  const name = LIVE_STREAM_NAMES[schoolId] || schoolId;
+  if (event === 'ended') {
+    return {
+      title: '⏹️ Stream ended — watch the replay',
+      body:  `Missed ${name} live? The replay is up on YouTube.`,
+      icon:  '/icons/icon-192x192.png',
+      tag:   'xsen-live',
+      url:   `https://www.youtube.com/watch?v=${encodeURIComponent(streamId)}`
+    };
   }
+  return {
+    title: '🔴 LIVE Now on XSEN!',
+    body:  `${name} is streaming live — tune in!`,
+    icon:  '/icons/icon-192x192.png',
+    tag:   'xsen-live',
+    url:   `https://xsen.fun/${schoolId}/app.html`
+  };
 }
 
-setInterval(checkYouTubeLiveStreams, 30_000);
-setTimeout(checkYouTubeLiveStreams, 8000);
-console.log('📺 YouTube Live watcher started');
+const liveStreamWatcher = createLiveStreamWatcher({
+  supabase,
+  debounceMs: (Number(process.env.LIVE_DEBOUNCE_SECONDS) || 60) * 1000,
+  notifyEnded: (process.env.LIVE_ENDED_PUSH || "").toLowerCase() === "on",
+  notify: ({ event, schoolId, streamId }) =>
+    sendPushToSchool(schoolId, liveStreamPayload(event, schoolId, streamId), { topic: 'live', source: 'youtube' })
+});
+liveStreamWatcher.start();
 
 setInterval(() => {
   console.log("💓 XSEN heartbeat", new Date().toISOString());
@@ -960,6 +1172,7 @@ const GYMNASTICS_MCP_URL = (process.env.GYMNASTICS_MCP_URL || "").replace(/\/+$/
 const openai = new OpenAI({
   apiKey: (process.env.OPENAI_API_KEY || "").trim().replace(/\s+/g, '')
 });
+const tts = createTts({ openai });
 
 console.log("🔧 Configuration:");
 console.log("  VIDEO_AGENT_URL:", VIDEO_AGENT_URL || "(not set)");
@@ -972,32 +1185,65 @@ console.log("  MCP_API_KEY:", process.env.MCP_API_KEY ? "✅ Set" : "❌ Not set
 console.log("  OPENAI_API_KEY:", process.env.OPENAI_API_KEY ? "✅ Set" : "❌ Not set");
 
 /* ------------------------------------------------------------------ */
-/*                            LOAD TRIVIA                              */
+/*                       DYNAMIC MCP TOOLS                             */
 /* ------------------------------------------------------------------ */
 
-function loadTrivia(schoolId) {
-  try {
-    const triviaPath = path.join(__dirname, "trivia", `${schoolId}.json`);
-    const raw = fs.readFileSync(triviaPath, "utf-8");
-    const data = JSON.parse(raw);
-    console.log(`🧠 Loaded ${data.length} trivia questions for ${schoolId}`);
-    return Array.isArray(data) ? data : [];
-  } catch (err) {
-    try {
-      const defaultPath = path.join(__dirname, "trivia", "sooners.json");
-      const raw = fs.readFileSync(defaultPath, "utf-8");
-      return JSON.parse(raw);
-    } catch {
-      return [];
-    }
+// MCP_DYNAMIC_TOOLS=on swaps the regex-routed wrappers for tools discovered
+// from each server's tools/list (see toolRegistry.js)
+const DYNAMIC_TOOLS = (process.env.MCP_DYNAMIC_TOOLS || "").toLowerCase() === "on";
+
+const toolRegistry = createToolRegistry({
+  servers: {
+    espn:           { url: ESPN_MCP_URL,            label: "ESPN live scores, schedules and rankings" },
+    cfbd:           { url: CFBD_MCP_URL,            label: "CFBD college football history, records and stats" },
+    cfbdBasketball: { url: CFBD_BASKETBALL_MCP_URL, label: "College basketball scores, stats and rosters" },
+    ncaaWomens:     { url: NCAA_WOMENS_MCP_URL,     label: "NCAA women's sports scores, schedules and rankings" },
+    gymnastics:     { url: GYMNASTICS_MCP_URL,      label: "College gymnastics scores, rankings and rosters" }
+  },
+  schools: getAllSchools,
+  listTools: getMcpTools,
+  refreshMs: Number(process.env.MCP_TOOLS_REFRESH_MS) || 10 * 60_000
+});
+
+if (DYNAMIC_TOOLS) {
+  console.log("🧰 Dynamic MCP tools enabled");
+  toolRegistry.start();
+
+  // New or re-pointed school MCP servers need their tools listed
+  onSchoolsReload((schools, { added, changed }) => {
+    if (!added.length && !changed.length) return;
+    toolRegistry.refresh().catch(err => console.error("❌ Tool registry refresh error:", err.message));
+  });
+}
+
+async function callDynamicTool(target, args, schoolId) {
+  console.log(`🧰 Dynamic tool: ${target.namespace}/${target.toolName}`, args);
+
+  if (target.namespace === "school") {
+    return await fetchSchoolData(resolveSchool(schoolId), target.toolName, args);
   }
+
+  const result = await mcpCallTool(target.url, target.toolName, args, 15000);
+  if (result.ok) return { data: result.text || "" };
+  return {
+    error: result.error || `${target.toolName} failed`,
+    userMessage: result.userMessage || "I'm having trouble reaching that data source right now."
+  };
 }
 
 /* ------------------------------------------------------------------ */
-/*                      SIMPLE SESSION MEMORY                          */
+/*                          SESSION STORE                              */
 /* ------------------------------------------------------------------ */
 
-const sessions = new Map();
+const sessions = createSessionStore(supabase);
+
+setInterval(async () => {
+  try {
+    await sessions.prune();
+  } catch (err) {
+    console.error('❌ Session prune error:', err.message);
+  }
+}, 10 * 60_000);
 
 /* ------------------------------------------------------------------ */
 /*                         UTIL FUNCTIONS                              */
@@ -1015,79 +1261,6 @@ function getText(body) {
     .trim();
 }
 
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function sanitize(s) {
-  return (s ?? "").toString().trim();
-}
-
-function normalizeAnswer(s) {
-  return sanitize(s).replace(/\s+/g, " ").toLowerCase();
-}
-
-function buildMCQ(q, TRIVIA) {
-  const correct = sanitize(q?.answer);
-  const correctNorm = normalizeAnswer(correct);
-
-  if (Array.isArray(q?.wrongAnswers) && q.wrongAnswers.length >= 3) {
-    const wrongAnswers = q.wrongAnswers.slice(0, 3).map(a => sanitize(a));
-    const options = shuffle([correct, ...wrongAnswers]);
-    
-    return {
-      question: sanitize(q?.question),
-      options,
-      correctIndex: options.findIndex(o => normalizeAnswer(o) === correctNorm),
-      explanation: sanitize(q?.explanation) || correct
-    };
-  }
-
-  const allOtherAnswers = TRIVIA
-    .map(t => sanitize(t?.answer))
-    .filter(a => a && normalizeAnswer(a) !== correctNorm);
-
-  const plausible = allOtherAnswers.filter(a => {
-    const lenOK = a.length >= 3 && Math.abs(a.length - correct.length) <= 18;
-    const notSame = normalizeAnswer(a) !== correctNorm;
-    return lenOK && notSame;
-  });
-
-  const pool1 = shuffle(plausible);
-  const pool2 = shuffle(allOtherAnswers);
-
-  const wrong = [];
-  const used = new Set([correctNorm]);
-
-  function tryAddFrom(pool) {
-    for (const a of pool) {
-      const n = normalizeAnswer(a);
-      if (!used.has(n)) {
-        used.add(n);
-        wrong.push(a);
-      }
-      if (wrong.length >= 3) break;
-    }
-  }
-
-  tryAddFrom(pool1);
-  if (wrong.length < 3) tryAddFrom(pool2);
-
-  const options = shuffle([correct, ...wrong]).slice(0, 4);
-
-  return {
-    question: sanitize(q?.question),
-    options,
-    correctIndex: options.findIndex(o => normalizeAnswer(o) === correctNorm),
-    explanation: sanitize(q?.explanation) || correct
-  };
-}
-
 /* ------------------------------------------------------------------ */
 /*                         INTENT HELPERS                              */
 /* ------------------------------------------------------------------ */
@@ -1096,6 +1269,10 @@ function isTriviaRequest(text = "") {
   return /\btrivia\b|\bquiz\b|\btest me\b|\bask me trivia\b/i.test(text);
 }
 
+function isQuitTrivia(text = "") {
+  return /^(quit|stop|end|done)( (the )?(trivia|round|game|quiz))?[.!]?$/i.test(text.trim());
+}
+
 function isAnswerChoice(text = "") {
   return /^[abcd]$/i.test(text.trim());
 }
@@ -1127,90 +1304,9 @@ function isCFBDHistoryRequest(text = "") {
 }
 
 /* ------------------------------------------------------------------ */
-/*                         SAFE FETCH HELPERS                          */
+/*                          MCP HELPERS                                */
 /* ------------------------------------------------------------------ */
 
-async function fetchJson(url, payload, timeoutMs = 7000, method = "tools/call") {
-  const controller = new AbortController();
-  const t = setTimeout(() => controller.abort(), timeoutMs);
-
-  try {
-    if (!url.endsWith('/mcp')) {
-      url = url.replace(/\/$/, '') + '/mcp';
-    }
-
-    const headers = { "Content-Type": "application/json" };
-    
-    if (process.env.MCP_API_KEY) {
-      headers["Authorization"] = `Bearer ${process.env.MCP_API_KEY}`;
-    }
-
-    const jsonRpcPayload = {
-      jsonrpc: "2.0",
-      method: method,
-      params: payload,
-      id: Date.now()
-    };
-
-    const r = await fetch(url, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify(jsonRpcPayload),
-      signal: controller.signal
-    });
-
-    const contentType = r.headers.get("content-type") || "";
-    const text = await r.text();
-
-    if (!r.ok) {
-      return { ok: false, status: r.status, text };
-    }
-
-    if (contentType.includes("application/json")) {
-      try {
-        return { ok: true, json: JSON.parse(text) };
-      } catch {
-        return { ok: true, json: null, text };
-      }
-    }
-
-    return { ok: true, json: null, text };
-  } catch (e) {
-    return { ok: false, status: 0, text: e?.message || String(e) };
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-function extractMcpText(data) {
-  if (!data) return "";
-  if (typeof data === "string") return data;
-
-  if (data.result) {
-    const result = data.result;
-    
-    if (Array.isArray(result.content)) {
-      return result.content
-        .map(item => item.text || item.data || "")
-        .filter(Boolean)
-        .join("\n");
-    }
-    
-    if (result.text) return result.text;
-    if (typeof result === "string") return result;
-  }
-
-  return (
-    data.response ||
-    data.reply ||
-    data.output_text ||
-    data.output ||
-    data.message ||
-    (data.data && (data.data.response || data.data.reply || data.data.output)) ||
-    ""
-  ).toString();
-}
-
 async function getMcpTools(baseUrl) {
   if (!baseUrl) {
     console.log("❌ getMcpTools: No baseUrl provided");
@@ -1218,24 +1314,19 @@ async function getMcpTools(baseUrl) {
   }
   
   console.log(`🔍 Fetching tools from: ${baseUrl}`);
-  const resp = await fetchJson(baseUrl, {}, 5000, "tools/list");
-  
-  console.log(`📥 tools/list response - ok: ${resp.ok}, status: ${resp.status}`);
-  
-  if (resp.json) {
-    console.log(`📦 tools/list JSON:`, JSON.stringify(resp.json, null, 2));
-  } else {
-    console.log(`📝 tools/list text:`, resp.text?.substring(0, 200));
-  }
-  
-  if (resp.ok && resp.json?.result?.tools) {
-    const tools = resp.json.result.tools;
-    console.log(`✅ Found ${tools.length} tools:`, tools.map(t => t.name).join(", "));
+
+  try {
+    const tools = await getMcpClient(baseUrl).listTools({ timeoutMs: 5000 });
+    if (tools.length) {
+      console.log(`✅ Found ${tools.length} tools:`, tools.map(t => t.name).join(", "));
+    } else {
+      console.log(`⚠️ No tools found in response`);
+    }
     return tools;
+  } catch (err) {
+    console.log(`⚠️ tools/list failed - status: ${err.status}, error: ${err.message}`);
+    return [];
   }
-  
-  console.log(`⚠️ No tools found in response`);
-  return [];
 }
 
 async function callMcp(baseUrl, userText) {
@@ -1411,12 +1502,12 @@ async function callMcp(baseUrl, userText) {
     const payload = payloadVariations[i];
     console.log(`🔄 Trying payload variation ${i + 1}/${payloadVariations.length}:`, JSON.stringify(payload));
     
-    const resp = await fetchJson(baseUrl, payload, 7000, "tools/call");
+    const resp = await mcpCallTool(baseUrl, payload.name, payload.arguments, 7000);
     
     console.log(`📥 Response ok: ${resp.ok}, status: ${resp.status}`);
     
-    if (resp.ok && !resp.json?.error) {
-      const out = extractMcpText(resp.json) || resp.text || "";
+    if (resp.ok) {
+      const out = resp.text || "";
       
       if (out.includes("No recent game found")) {
         console.log(`⚠️ No game found, trying next variation...`);
@@ -1428,8 +1519,8 @@ async function callMcp(baseUrl, userText) {
         return { ok: true, text: out.trim() };
       }
       
-      if (resp.json) {
-        const jsonStr = JSON.stringify(resp.json, null, 2);
+      if (resp.result) {
+        const jsonStr = JSON.stringify(resp.result, null, 2);
         if (jsonStr.length > 20 && !jsonStr.includes("No recent game found")) {
           console.log(`✅ Returning JSON string`);
           return { ok: true, text: jsonStr };
@@ -1449,29 +1540,39 @@ async function callMcp(baseUrl, userText) {
 app.post("/tts", async (req, res) => {
   try {
     const text = req.body?.text;
-    const voice = req.body?.voice || "onyx";
-
-    if (!text) {
-      return res.status(400).json({ error: "No text provided" });
-    }
+    // An explicit voice wins, then the school's mascot voice (schools.json)
+    const voice = TTS_VOICES.includes(req.body?.voice)
+      ? req.body.voice
+      : getSchoolById(req.body?.school)?.voice || DEFAULT_VOICE;
+
+    // Bad or over-long text is refused before it costs any quota
+    const prepared = tts.prepare(text);
+    if (prepared.error) return res.status(prepared.status).json({ error: prepared.error });
+
+    const identity = await chatIdentity.resolve(req);
+    if (identity.error) return res.status(identity.status).json({ error: identity.error });
+    // The chat UI sends its session token here too; a caller without one
+    // is counted by IP rather than getting a fresh quota every request
+    const { tier, sessionId, issuedToken } = identity.data;
+    const limited = await rateLimiter.consume({
+      kind: 'tts', tier, subject: issuedToken ? `ip:${req.ip}` : sessionId, ip: req.ip, schoolId: req.body?.school
+    });
+    if (limited.error) return sendRateLimited(res, limited);
 
     console.log(`🔊 TTS Request: "${text.substring(0, 50)}..." with voice: ${voice}`);
 
-    const mp3 = await openai.audio.speech.create({
-      model: "tts-1",
-      voice: voice,
-      input: text,
-    });
-
-    const buffer = Buffer.from(await mp3.arrayBuffer());
+    const result = await tts.speak(text, voice);
+    if (result.error) return res.status(result.status || 500).json({ error: result.error });
+    const { audio, cached } = result.data;
 
     res.set({
       'Content-Type': 'audio/mpeg',
-      'Content-Length': buffer.length
+      'Content-Length': audio.length,
+      'X-TTS-Cache': cached ? 'hit' : 'miss'
     });
 
-    res.send(buffer);
-    console.log(`✅ TTS audio generated successfully`);
+    res.send(audio);
+    console.log(`✅ TTS audio ${cached ? "served from cache" : "generated"} (${audio.length} bytes)`);
 
   } catch (err) {
     console.error("❌ TTS error:", err);
@@ -1485,10 +1586,49 @@ app.post("/tts", async (req, res) => {
 
 app.get("/health", (req, res) => res.status(200).send("OK"));
 
+const healthChecks = createHealthChecks({
+  supabase,
+  openai,
+  mcpServers: {
+    espn: ESPN_MCP_URL,
+    cfbd: CFBD_MCP_URL,
+    cfbdBasketball: CFBD_BASKETBALL_MCP_URL,
+    ncaaWomens: NCAA_WOMENS_MCP_URL,
+    gymnastics: GYMNASTICS_MCP_URL
+  },
+  schools: getAllSchools,
+  vapid: {
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_EMAIL || 'mailto:admin@xsen.fun',
+    configured: () => vapidConfigured
+  }
+});
+
+// Probes every backend — /health stays cheap for the Railway healthcheck
+async function deepHealth(req, res) {
+  try {
+    const report = await healthChecks.report({ fresh: req.query.fresh === "1" });
+    res.status(report.status === "down" ? 503 : 200).json({
+      ...report,
+      uptime: process.uptime(),
+      mcpCircuits: getMcpCircuits(),
+      mcpCache: getMcpCacheStats()
+    });
+  } catch (err) {
+    console.error("❌ Deep health error:", err);
+    res.status(500).json({ status: "down", error: err.message });
+  }
+}
+
+app.get("/health/deep", deepHealth);
+app.get("/status", deepHealth);
+
 /* ------------------------------------------------------------------ */
 /*                      HANDLE CORS PREFLIGHT                          */
 /* ------------------------------------------------------------------ */
 app.options("/chat", cors());
+app.options("/chat/stream", cors());
 
 /* ------------------------------------------------------------------ */
 /*                           CHAT ROUTE                                */
@@ -1517,65 +1657,315 @@ async function logMessages(userId, schoolId, userMessage, replyMessage, tokenCou
   }
 }
 
-app.post("/chat", async (req, res) => {
+// ─── TOOL DISPATCH ────────────────────────────────────────────────────────────
+async function callTool(functionName, functionArgs, schoolId, session) {
+  console.log(`🔧 Calling function: ${functionName}`, functionArgs);
+
+  let functionResult;
+
+  switch (functionName) {
+    case "get_trivia_question":
+      functionResult = await getTriviaQuestion(schoolId, session, functionArgs);
+      if (!functionResult.error) {
+        session.active = true;
+        session.correctIndex = functionResult.correctIndex;
+        session.explain = functionResult.explanation;
+        session.questionId = functionResult.id;
+      }
+      break;
+    
+    case "start_trivia_round":
+      console.log(`🧠 Trivia round: ${functionArgs.questions || DEFAULT_ROUND_QUESTIONS} questions`);
+      functionResult = await startTriviaRound(schoolId, session, functionArgs.questions, functionArgs);
+      break;
+    
+    case "search_videos":
+      console.log(`🎬 Video search for: "${functionArgs.query}"`);
+      functionResult = await searchVideos(functionArgs.query, schoolId);
+      break;
+    
+    case "get_espn_stats":
+      console.log(`📊 ESPN stats for: "${functionArgs.query}"`);
+      functionResult = await getESPNStats(functionArgs.query, schoolId);
+      break;
+    
+    case "get_cfbd_history":
+      console.log(`📚 CFBD history for: "${functionArgs.query}"`);
+      functionResult = await getCFBDHistory(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing historical data right now.";
+      }
+      break;
+    
+    case "get_cfbd_basketball":
+      console.log(`🏀 CFBD basketball for: "${functionArgs.query}"`);
+      functionResult = await getCFBDBasketball(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing basketball data right now.";
+      }
+      break;
+    
+    case "get_ncaa_womens_sports":
+      console.log(`🏐 NCAA Women's Sports for: "${functionArgs.query}"`);
+      functionResult = await getNCAAWomensSports(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing women's sports data right now.";
+      }
+      break;
+    
+    case "get_gymnastics":
+      console.log(`🤸 Gymnastics for: "${functionArgs.query}"`);
+      functionResult = await getGymnastics(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing gymnastics data right now.";
+      }
+      break;
+    
+    // ── FIX 2: Pass schoolId to getSchoolAthletics ──────────────
+    case "get_school_athletics":
+      console.log(`🏫 School Athletics for: "${functionArgs.query}" schoolId: ${schoolId}`);
+      functionResult = await getSchoolAthletics(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing that school's athletics data right now.";
+      }
+      break;
+
+    case "get_school_news":
+      console.log(`📰 School news for: "${functionArgs.query}"`);
+      functionResult = await getSchoolNews(functionArgs.query, schoolId);
+      if (functionResult.error) {
+        functionResult.userMessage = functionResult.userMessage || "I'm having trouble accessing the latest news right now.";
+      }
+      break;
+    
+    default: {
+      const target = DYNAMIC_TOOLS && toolRegistry.resolve(functionName, resolveSchool(schoolId));
+      functionResult = target
+        ? await callDynamicTool(target, functionArgs, schoolId)
+        : { error: "Unknown function" };
+    }
+  }
+
+  return functionResult;
+}
+
+// ─── OPENAI COMPLETION (plain or streamed) ────────────────────────────────────
+// With onToken set, the completion is streamed: content deltas are handed to
+// onToken as they arrive and tool call fragments are stitched back together,
+// so callers get the same { message, usage } shape either way.
+async function createChatCompletion(messages, { tools: toolList = tools, onToken } = {}) {
+  const request = {
+    model: "gpt-4o-mini",
+    messages: messages,
+    tools: toolList,
+    tool_choice: "auto"
+  };
+
+  if (!onToken) {
+    const response = await openai.chat.completions.create(request);
+    return { message: response.choices[0].message, usage: response.usage };
+  }
+
+  const stream = await openai.chat.completions.create({
+    ...request,
+    stream: true,
+    stream_options: { include_usage: true }
+  });
+
+  const message = { role: "assistant", content: "" };
+  const toolCalls = [];
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      message.content += delta.content;
+      onToken(delta.content);
+    }
+
+    for (const part of delta.tool_calls || []) {
+      if (!toolCalls[part.index]) {
+        toolCalls[part.index] = { id: "", type: "function", function: { name: "", arguments: "" } };
+      }
+      const call = toolCalls[part.index];
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    }
+  }
+
+  if (toolCalls.length) message.tool_calls = toolCalls;
+  if (!message.content) message.content = null;
+  return { message, usage };
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0)
+  };
+}
+
+// ─── SERVER-SENT EVENTS ───────────────────────────────────────────────────────
+function wantsEventStream(req) {
+  return req.path === "/chat/stream" || /text\/event-stream/i.test(req.headers.accept || "");
+}
+
+function openEventStream(res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+async function handleChat(req, res) {
   console.log(`📨 ${req.body?.school || "?"} - ${req.body?.message?.substring(0, 40) || "?"}`);
+
+  // Signed-in user from the Supabase token, or an anonymous session (see
+  // chatIdentity.js). userId is null for anonymous fans. Both this and the
+  // quota check wait on Supabase, so a failure there answers 503 instead of
+  // escaping the handler.
+  let identity, quota;
+  try {
+    identity = await chatIdentity.resolve(req);
+    if (identity.error) {
+      return res.status(identity.status).json({ error: identity.error, response: identity.error });
+    }
+    const { tier, sessionId, issuedToken } = identity.data;
+
+    // Empty messages just fetch the greeting and don't count
+    const limitSchool = resolveSchool(req.body?.school || "sooners");
+    // Same rule as /tts: a caller who didn't send back a session token is
+    // counted by IP, so dropping the token doesn't buy a fresh monthly quota
+    const limitArgs = { kind: 'chat', tier, subject: issuedToken ? `ip:${req.ip}` : sessionId, schoolId: limitSchool?.id };
+    if (getText(req.body)) {
+      const limited = await rateLimiter.consume({ ...limitArgs, ip: req.ip });
+      if (limited.error) {
+        const monthlyText = limited.scope === 'monthly' && (tier === 'anonymous'
+          ? `You've used all ${limited.limit} free messages for this month. Sign in to keep chatting! 🏈`
+          : `You've reached your ${limited.limit} message limit for this month. Your messages reset on the 1st. Thank you for being a ${limitSchool?.displayName || "XSEN"} fan! 🏈`);
+        return sendRateLimited(res, limited, monthlyText || undefined);
+      }
+      quota = limited.data;
+    } else {
+      quota = await rateLimiter.usage(limitArgs);
+    }
+  } catch (err) {
+    console.error("❌ Chat identity/quota check failed:", err.message);
+    const error = "Chat is temporarily unavailable, please try again";
+    return res.status(503).json({ error, response: error });
+  }
+  const { userId, sessionId, issuedToken } = identity.data;
+
+  // Streaming mode: tool_start / tool_end / token events, then a final done event
+  const streaming = wantsEventStream(req);
+  const emit = streaming ? openEventStream(res) : () => {};
+  const reply = (body) => {
+    // Messages left this month, so the app can warn before the limit
+    body = { ...body, quota: { tier: quota.tier, used: quota.used, remaining: quota.remaining, limit: quota.limit, resetAt: quota.resetAt } };
+    // New anonymous fans get their session token back to send next time
+    if (issuedToken) body = { ...body, sessionToken: issuedToken };
+    if (!streaming) return res.json(body);
+    emit("done", body);
+    res.end();
+  };
+
   try {
-    const sessionId = req.body?.userId || req.body?.sessionId || req.body?.session_id || "default";
     const rawText = getText(req.body);
     const schoolId = req.body?.school || "sooners";
 
-    const school = getAllSchools().find(s => s.id === schoolId) || getAllSchools().find(s => s.isDefault);
+    const school = resolveSchool(schoolId);
     if (!school) {
-      return res.json({ response: "School not found. Please try again." });
-    }
-
-    // ─── MONTHLY MESSAGE LIMIT (authenticated users only) ─────────
-    if (sessionId !== 'anonymous' && sessionId !== 'default') {
-      const startOfMonth = new Date();
-      startOfMonth.setDate(1);
-      startOfMonth.setHours(0, 0, 0, 0);
-
-      const { count, error } = await supabase
-        .from('message_logs')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', sessionId)
-        .eq('role', 'user')
-        .gte('created_at', startOfMonth.toISOString());
-
-      if (!error && count >= 150) {
-        return res.json({
-          response: `You've reached your 150 message limit for this month. Your messages reset on the 1st. Thank you for being a ${school.displayName} fan! 🏈`
-        });
-      }
+      return reply({ response: "School not found. Please try again." });
     }
-    // ──────────────────────────────────────────────────────────────
 
     const greeting = school.greeting || "Hello!";
     const mascotName = school.mascotName || "Bot";
 
     if (!rawText) {
-      return res.json({ response: `${greeting} What can I help you with?` });
+      return reply({ response: `${greeting} What can I help you with?` });
     }
 
     // ─── PRE-ROUTING: bypass GPT for news queries ─────────────────
     if (isNewsQuery(rawText)) {
       console.log(`📰 Pre-routing news query: "${rawText}"`);
+      emit("tool_start", { name: "get_school_news" });
       const newsResult = await getSchoolNews(rawText, schoolId);
+      emit("tool_end", { name: "get_school_news", ok: !newsResult.error });
       const newsText = newsResult.data || "No current news available. Check the school's athletics site for the latest.";
       await logMessages(sessionId, schoolId, rawText, newsText, 0);
-      return res.json({ response: newsText });
+      return reply({ response: newsText });
     }
     // ─────────────────────────────────────────────────────────────
 
-    if (!sessions.has(sessionId)) sessions.set(sessionId, { chat: [] });
-    const session = sessions.get(sessionId);
+    const session = (await sessions.get(sessionId)) || { chat: [] };
+
+    // ─── TRIVIA ROUND: score answers without a model round trip ───
+    if (session.trivia && (isAnswerChoice(rawText) || isQuitTrivia(rawText))) {
+      const canPersist = !!userId;
+      const startedAt = session.trivia.startedAt;
+      const roundSchool = session.trivia.schoolId;
+      let text;
+      let trivia;
+
+      if (isQuitTrivia(rawText)) {
+        const result = endRound(session);
+        trivia = { ...result, finished: true };
+        text = `🛑 **Round ended.** ${await roundSummary(result, canPersist && result.total > 0 ? { userId, schoolId: roundSchool, startedAt } : null)}`;
+      } else {
+        const idx = { a: 0, b: 1, c: 2, d: 3 }[rawText.trim().toLowerCase()];
+        const outcome = answerRound(session, idx, (await triviaPool(roundSchool, session.trivia.filters)).pool);
+        trivia = { ...outcome.round, correct: outcome.correct, finished: outcome.finished };
+        if (outcome.next) {
+          trivia.category = outcome.next.category;
+          trivia.difficulty = outcome.next.difficulty;
+          trivia.sport = outcome.next.sport;
+        }
+
+        if (canPersist) {
+          await recordAnswer(supabase, { userId, schoolId: roundSchool, questionId: outcome.questionId, correct: outcome.correct, mode: 'round' });
+        }
+
+        const feedback = outcome.correct
+          ? `✅ **Correct!**${outcome.round.streak > 1 ? ` 🔥 ${outcome.round.streak} in a row!` : ""}\n\n${outcome.explain}`
+          : `❌ **Not quite!** Correct answer: **${outcome.correctLetter}** - ${outcome.explain}`;
+        const scoreLine = `Score: **${outcome.round.score}/${outcome.finished ? outcome.round.total : outcome.round.number - 1}**`;
+
+        text = outcome.finished
+          ? `${feedback}\n\n${await roundSummary(outcome.round, canPersist ? { userId, schoolId: roundSchool, startedAt } : null)}`
+          : `${feedback}\n\n${scoreLine}\n\n${formatQuestion(outcome.next, `Question ${outcome.round.number} of ${outcome.round.total}`)}`;
+      }
+
+      await sessions.set(sessionId, session);
+      await logMessages(sessionId, schoolId, rawText, text, 0);
+      return reply({ response: text, trivia });
+    }
+    // ─────────────────────────────────────────────────────────────
 
     if (session.active && isAnswerChoice(rawText.toLowerCase())) {
       const idx = { a: 0, b: 1, c: 2, d: 3 }[rawText.toLowerCase()];
       const isCorrect = idx === session.correctIndex;
       session.active = false;
 
-      return res.json({
+      if (userId) {
+        await recordAnswer(supabase, { userId, schoolId, questionId: session.questionId, correct: isCorrect, mode: 'single' });
+      }
+      await sessions.set(sessionId, session);
+
+      return reply({
         response: isCorrect
           ? `✅ **Correct!** 🎉\n\n${session.explain}\n\nTry **trivia**, **video**, **stats**, or **history** — and don't forget to tune in to ${school.displayName} Radio! 🎙️📻`
           : `❌ **Not quite!**\n\nCorrect answer: **${["A", "B", "C", "D"][session.correctIndex]}** - ${session.explain}\n\nTry **trivia**, **video**, **stats**, or **history** — and don't forget to tune in to ${school.displayName} Radio! 🎙️📻`
@@ -1589,115 +1979,41 @@ app.post("/chat", async (req, res) => {
       {
         role: "system",
         content: `${school.systemPrompt || `You are ${mascotName}, the enthusiastic AI assistant for ${school.name} fans. You love ${school.displayName} sports and provide helpful, engaging responses.`}
-Today's date: ${new Date().toDateString()}. The current/most recent completed football season is ${new Date().getMonth() < 7 ? new Date().getFullYear() - 1 : new Date().getFullYear()}. When users ask about "this season", "current season", or "this year", always use that year — never default to 2023 or prior seasons. For ANY question about how the team is doing, current record, season performance, or outlook — you MUST call get_cfbd_history. Never answer football season questions from memory. The 2025 football season is COMPLETE. There are no upcoming games. When asked about upcoming games, present the 2025 completed schedule and say the 2026 schedule is not yet available.
-The 2025-2026 men's basketball season is COMPLETE. There are no upcoming games. When asked about upcoming games or next games, present the completed season record and say the next season schedule is not yet available.
-IMPORTANT TOOL USAGE RULES:
-- get_trivia_question: ONLY when user explicitly says "trivia", "quiz", or "test me"
-- search_videos: ONLY when user asks for "video", "highlight", "watch", or "show me"
-- get_espn_stats: For CURRENT/RECENT games (today, this week, latest score). DO NOT use for schedule queries if get_cfbd_history already returned data.
-- get_cfbd_history: For FOOTBALL all-time records, historical matchups, "vs", series records, AND PLAYER SEASON STATS. DO NOT use for schedules — use get_school_athletics instead
-- get_cfbd_basketball: For ANY BASKETBALL queries (scores, stats, schedule, rankings, roster)
-- get_ncaa_womens_sports: For WOMEN'S SPORTS scores/schedules/rankings/stats (NOT rosters)
-- get_gymnastics: For GYMNASTICS queries (both men's and women's) - BOTH OU TEAMS ARE #1!
-- get_school_athletics: For ROSTERS, PLAYER BIOS, DEPTH CHARTS, INJURY REPORTS, STANDINGS, PLAYER STATS, TEAM INFO, and FOOTBALL RECRUITING
-- get_school_news: For BREAKING NEWS, ROSTER MOVES, TRANSFERS, and RECRUITING UPDATES from our news feed
+Today's date: ${new Date().toDateString()}. The current/most recent football season is ${defaultSeasonYear(school, "football")}. When users ask about "this season", "current season", or "this year", always use that year — never default to 2023 or prior seasons. For ANY question about how the team is doing, current record, season performance, or outlook — you MUST call ${DYNAMIC_TOOLS ? "the cfbd__ team record tools" : "get_cfbd_history"}. Never answer football season questions from memory.
+Where each ${school.displayName} season stands today:
+${seasonPromptLines(school).join("\n")}
+${toolUsageRules(school)}
 
 Be conversational and enthusiastic. Use the school greeting appropriately. ALWAYS end every response with the SUGGESTED: block from your persona prompt — no exceptions, even when data is sparse.`
       },
       ...session.chat
     ];
 
-    let response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: messages,
-      tools: tools,
-      tool_choice: "auto"
-    });
+    const onToken = streaming ? (content) => emit("token", { content }) : null;
+
+    const turnTools = toolsFor(school);
 
-    let assistantMessage = response.choices[0].message;
+    let { message: assistantMessage, usage } = await createChatCompletion(messages, { tools: turnTools, onToken });
+    let totalUsage = addUsage({ prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }, usage);
+    let trivia;
 
     while (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
       session.chat.push(assistantMessage);
 
       for (const toolCall of assistantMessage.tool_calls) {
         const functionName = toolCall.function.name;
-        const functionArgs = JSON.parse(toolCall.function.arguments);
-        
-        console.log(`🔧 Calling function: ${functionName}`, functionArgs);
-
-        let functionResult;
-
-        switch (functionName) {
-          case "get_trivia_question":
-            functionResult = await getTriviaQuestion(schoolId);
-            if (!functionResult.error) {
-              session.active = true;
-              session.correctIndex = functionResult.correctIndex;
-              session.explain = functionResult.explanation;
-            }
-            break;
-          
-          case "search_videos":
-            console.log(`🎬 Video search for: "${functionArgs.query}"`);
-            functionResult = await searchVideos(functionArgs.query, schoolId);
-            break;
-          
-          case "get_espn_stats":
-            console.log(`📊 ESPN stats for: "${functionArgs.query}"`);
-            functionResult = await getESPNStats(functionArgs.query);
-            break;
-          
-          case "get_cfbd_history":
-            console.log(`📚 CFBD history for: "${functionArgs.query}"`);
-            functionResult = await getCFBDHistory(functionArgs.query);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing historical data right now.";
-            }
-            break;
-          
-          case "get_cfbd_basketball":
-            console.log(`🏀 CFBD basketball for: "${functionArgs.query}"`);
-            functionResult = await getCFBDBasketball(functionArgs.query);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing basketball data right now.";
-            }
-            break;
-          
-          case "get_ncaa_womens_sports":
-            console.log(`🏐 NCAA Women's Sports for: "${functionArgs.query}"`);
-            functionResult = await getNCAAWomensSports(functionArgs.query);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing women's sports data right now.";
-            }
-            break;
-          
-          case "get_gymnastics":
-            console.log(`🤸 Gymnastics for: "${functionArgs.query}"`);
-            functionResult = await getGymnastics(functionArgs.query);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing gymnastics data right now.";
-            }
-            break;
-          
-          // ── FIX 2: Pass schoolId to getSchoolAthletics ──────────────
-          case "get_school_athletics":
-            console.log(`🏫 School Athletics for: "${functionArgs.query}" schoolId: ${schoolId}`);
-            functionResult = await getSchoolAthletics(functionArgs.query, schoolId);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing that school's athletics data right now.";
-            }
-            break;
-
-          case "get_school_news":
-            console.log(`📰 School news for: "${functionArgs.query}"`);
-            functionResult = await getSchoolNews(functionArgs.query, schoolId);
-            if (functionResult.error) {
-              functionResult.userMessage = "I'm having trouble accessing the latest news right now.";
-            }
-            break;
-          
-          default:
-            functionResult = { error: "Unknown function" };
+        const functionArgs = JSON.parse(toolCall.function.arguments || "{}");
+
+        emit("tool_start", { name: functionName, args: functionArgs });
+        const startedAt = Date.now();
+
+        const functionResult = await callTool(functionName, functionArgs, schoolId, session);
+
+        emit("tool_end", { name: functionName, ok: !functionResult.error, ms: Date.now() - startedAt });
+
+        // Lets the UI badge the question with its category
+        if (functionResult.category !== undefined && !functionResult.error) {
+          trivia = { category: functionResult.category, difficulty: functionResult.difficulty, sport: functionResult.sport };
         }
 
         session.chat.push({
@@ -1707,14 +2023,8 @@ Be conversational and enthusiastic. Use the school greeting appropriately. ALWAY
         });
       }
 
-      response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: session.chat,
-        tools: tools,
-        tool_choice: "auto"
-      });
-
-      assistantMessage = response.choices[0].message;
+      ({ message: assistantMessage, usage } = await createChatCompletion(session.chat, { tools: turnTools, onToken }));
+      totalUsage = addUsage(totalUsage, usage);
     }
 
     session.chat.push(assistantMessage);
@@ -1724,24 +2034,266 @@ Be conversational and enthusiastic. Use the school greeting appropriately. ALWAY
       assistantMessage.content = assistantMessage.content.replace(/(https?:\/\/[^\s\)]+)\)+(?!\))/g, '$1');
     }
 
-    const tokenCount = response.usage?.total_tokens || 0;
-    await logMessages(sessionId, schoolId, rawText, assistantMessage.content, tokenCount);
-    return res.json({ response: assistantMessage.content });
+    await sessions.set(sessionId, session);
+
+    await logMessages(sessionId, schoolId, rawText, assistantMessage.content, totalUsage.total_tokens);
+    return reply(streaming
+      ? { response: assistantMessage.content, trivia, usage: totalUsage }
+      : { response: assistantMessage.content, trivia });
 
   } catch (err) {
     console.error("❌ Orchestrator error:", err);
-    const schoolId = req.body?.school || "sooners";
-    const school = getAllSchools().find(s => s.id === schoolId) || getAllSchools().find(s => s.isDefault);
-    return res.json({
+    if (streaming) emit("error", { message: "Something went wrong" });
+    return reply({
       response: `Sorry — something went wrong on my end. Please try again.`
     });
   }
+}
+
+// Final round summary; persists the result and compares against the fan's
+// personal best when `persist` carries who to save it for
+async function roundSummary(result, persist) {
+  if (!result.total) return `No questions answered this time — say **trivia round** whenever you're ready!`;
+
+  const pct = Math.round((result.score / result.total) * 100);
+  let text = `🏁 **Final score: ${result.score}/${result.total}** (${pct}%) — best streak: 🔥 ${result.bestStreak}`;
+
+  if (persist) {
+    try {
+      const previous = await getPersonalBest(supabase, persist.userId, persist.schoolId);
+      await saveRoundResult(supabase, persist.userId, persist.schoolId, result, persist.startedAt);
+      if (!previous || result.score > previous.score) {
+        text += `\n\n🏆 **New personal best!**`;
+      } else {
+        text += `\n\nYour personal best: **${previous.score}/${previous.total}**`;
+      }
+    } catch (err) {
+      console.error('❌ Trivia round save error:', err.message || err);
+    }
+  }
+
+  return `${text}\n\nWant another round? Just say **trivia round**!`;
+}
+
+app.post("/chat", handleChat);
+app.post("/chat/stream", handleChat);
+
+/* ------------------------------------------------------------------ */
+/*                               USAGE                                 */
+/* ------------------------------------------------------------------ */
+
+// A fan's standing against their monthly limits — the same counters /chat
+// and /tts check. Needs a Supabase token or an anonymous session token.
+app.get("/usage", async (req, res) => {
+  try {
+    const identity = await chatIdentity.resolve(req);
+    if (identity.error) return res.status(identity.status).json({ error: identity.error });
+    const { tier, sessionId, issuedToken } = identity.data;
+    if (issuedToken) return res.status(401).json({ error: "Sign in or send your session token" });
+
+    const schoolId = resolveSchool(req.query.school || "sooners")?.id;
+    const [chat, tts] = await Promise.all([
+      rateLimiter.usage({ kind: 'chat', tier, subject: sessionId, schoolId }),
+      rateLimiter.usage({ kind: 'tts', tier, subject: sessionId, schoolId })
+    ]);
+
+    res.json({
+      tier,
+      period: chat.period,
+      resetAt: chat.resetAt,
+      messages: { used: chat.used, remaining: chat.remaining, limit: chat.limit },
+      tts: { used: tts.used, remaining: tts.remaining, limit: tts.limit }
+    });
+  } catch (err) {
+    console.error("❌ Usage error:", err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 /* ------------------------------------------------------------------ */
-/*                           START SERVER                              */
+/*                        TRIVIA LEADERBOARDS                          */
 /* ------------------------------------------------------------------ */
 
+function parsePeriod(req, fallback) {
+  const period = (req.query.period || fallback).toString().toLowerCase();
+  return LEADERBOARD_PERIODS.includes(period) ? period : null;
+}
+
+app.get('/trivia/leaderboard/:school', async (req, res) => {
+  try {
+    const school = getSchoolById(req.params.school);
+    if (!school) return res.status(404).json({ error: 'Unknown school' });
+
+    const period = parsePeriod(req, 'week');
+    if (!period) return res.status(400).json({ error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}` });
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    res.json(await getLeaderboard(supabase, school.id, { period, limit }));
+  } catch (err) {
+    console.error('❌ Leaderboard error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/trivia/me', async (req, res) => {
+  try {
+    const identity = await chatIdentity.resolve(req);
+    if (identity.error) return res.status(identity.status).json({ error: identity.error });
+    const { userId } = identity.data;
+    if (!userId) return res.status(401).json({ error: 'Sign in to see your trivia stats' });
+
+    const school = getSchoolById(req.query.school || 'sooners');
+    if (!school) return res.status(404).json({ error: 'Unknown school' });
+
+    const period = parsePeriod(req, 'all');
+    if (!period) return res.status(400).json({ error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}` });
+
+    res.json(await getPlayerStats(supabase, userId, school.id, period));
+  } catch (err) {
+    console.error('❌ Trivia stats error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*                         TRIVIA ADMIN ROUTES                         */
+/* ------------------------------------------------------------------ */
+
+// ADMIN_API_KEY or an api_credentials key with the admin action
+const requireAdmin = apiAuth.requireScope('admin');
+
+// Resolves :school and :id, answering 404/400 itself when they're bad
+function adminTriviaParams(req, res) {
+  const school = getSchoolById(req.params.school);
+  if (!school) {
+    res.status(404).json({ error: 'Unknown school' });
+    return null;
+  }
+  if (req.params.id === undefined) return { school };
+
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'id must be a positive integer' });
+    return null;
+  }
+  return { school, id };
+}
+
+// { data } → 200/201, { error, status, issues } → that status
+function sendStoreResult(res, result, successStatus = 200) {
+  if (result.error) {
+    const { status, ...body } = result;
+    return res.status(status || 500).json(body);
+  }
+  res.status(successStatus).json(result.data);
+}
+
+app.get('/admin/trivia/:school', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    const questions = await triviaStore.all(params.school.id);
+    res.json({ school: params.school.id, count: questions.length, questions });
+  } catch (err) {
+    console.error('❌ Trivia admin list error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Same array format as trivia/<school>.json — feed it back to /import
+app.get('/admin/trivia/:school/export', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    res.setHeader('Content-Disposition', `attachment; filename="${params.school.id}.json"`);
+    res.json(await triviaStore.all(params.school.id));
+  } catch (err) {
+    console.error('❌ Trivia export error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: [questions] or { questions, mode: "merge" | "replace" }
+app.post('/admin/trivia/:school/import', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    const questions = Array.isArray(req.body) ? req.body : req.body?.questions;
+    const mode = Array.isArray(req.body) ? 'merge' : (req.body?.mode || 'merge');
+    const result = await triviaStore.importQuestions(params.school.id, questions, { mode });
+    if (result.data) console.log(`🧠 Trivia import for ${params.school.id}:`, result.data);
+    sendStoreResult(res, result);
+  } catch (err) {
+    console.error('❌ Trivia import error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/admin/trivia/:school/:id', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    const question = await triviaStore.get(params.school.id, params.id);
+    if (!question) return res.status(404).json({ error: `Question ${params.id} not found` });
+    res.json(question);
+  } catch (err) {
+    console.error('❌ Trivia admin get error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/admin/trivia/:school', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    sendStoreResult(res, await triviaStore.create(params.school.id, req.body), 201);
+  } catch (err) {
+    console.error('❌ Trivia create error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/admin/trivia/:school/:id', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    sendStoreResult(res, await triviaStore.update(params.school.id, params.id, req.body));
+  } catch (err) {
+    console.error('❌ Trivia update error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/admin/trivia/:school/:id', requireAdmin, async (req, res) => {
+  try {
+    const params = adminTriviaParams(req, res);
+    if (!params) return;
+    sendStoreResult(res, await triviaStore.remove(params.school.id, params.id));
+  } catch (err) {
+    console.error('❌ Trivia delete error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*                            SCHOOL ROUTES                            */
+/* ------------------------------------------------------------------ */
+
+// Public school list for the front end — no prompts or MCP URLs
+app.get('/schools', (req, res) => {
+  res.json({
+    schools: getAllSchools().map(publicSchool),
+    loadedAt: getSchoolsLoadedAt()?.toISOString() || null
+  });
+});
+
+// Re-reads schools.json; an invalid file is rejected and the current config kept
+app.post('/admin/schools/reload', requireAdmin, (req, res) => {
+  const result = reloadSchools({ reason: 'admin reload' });
+  if (result.error) return res.status(422).json(result);
+  res.json(result.data);
+});
+
 // ─── PUSH NOTIFICATION ROUTES ─────────────────────────────────────────────────
 
 app.get('/push/vapid-public-key', (req, res) => {
@@ -1750,13 +2302,23 @@ app.get('/push/vapid-public-key', (req, res) => {
   res.json({ key });
 });
 
+// Topic catalog for the notification settings UI
+app.get('/push/topics', (req, res) => {
+  res.json({ topics: Object.entries(PUSH_TOPICS).map(([id, label]) => ({ id, label })) });
+});
+
+// Body: { subscription, schoolId, topics?, sports? }. Re-subscribing with
+// only new topics/sports updates preferences; omitted fields are kept.
 app.post('/push/subscribe', async (req, res) => {
   try {
-    const { subscription, schoolId } = req.body;
+    const { subscription, schoolId, topics, sports } = req.body;
     if (!subscription?.endpoint || !subscription?.keys?.p256dh || !subscription?.keys?.auth) {
       return res.status(400).json({ error: 'Invalid subscription' });
     }
-    const { error } = await supabase
+    const prefs = normalizePreferences({ topics, sports });
+    if (prefs.error) return res.status(400).json({ error: prefs.error });
+
+    const { data: saved, error } = await supabase
       .from('push_subscriptions')
       .upsert({
         school_id:  schoolId || 'sooners',
@@ -1764,17 +2326,38 @@ app.post('/push/subscribe', async (req, res) => {
         p256dh:     subscription.keys.p256dh,
         auth:       subscription.keys.auth,
         user_agent: req.headers['user-agent']?.substring(0, 200) || '',
-        active:     true
-      }, { onConflict: 'endpoint' });
+        active:     true,
+        ...prefs.data
+      }, { onConflict: 'endpoint' })
+      .select('topics, sports')
+      .single();
     if (error) throw error;
-    console.log(`📱 Push subscription saved for ${schoolId}`);
-    res.json({ success: true });
+    console.log(`📱 Push subscription saved for ${schoolId}`, prefs.data);
+    res.json({ success: true, preferences: describePreferences(saved || {}) });
   } catch (err) {
     console.error('❌ Subscribe error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get('/push/preferences', async (req, res) => {
+  try {
+    const { endpoint } = req.query;
+    if (!endpoint) return res.status(400).json({ error: 'endpoint required' });
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select('school_id, topics, sports, active')
+      .eq('endpoint', endpoint)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Subscription not found' });
+    res.json({ schoolId: data.school_id, active: data.active, ...describePreferences(data) });
+  } catch (err) {
+    console.error('❌ Push preferences error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.post('/push/unsubscribe', async (req, res) => {
   try {
     const { endpoint } = req.body;
@@ -1802,15 +2385,23 @@ app.post('/push/resubscribe', async (req, res) => {
   }
 });
 
-app.post('/announcements/notify', async (req, res) => {
+// School a push request targets, read from the same body field(s) the route
+// sends to, so a credential can't be checked against one school and deliver
+// to another
+const pushRequestSchool = (...fields) => (req) =>
+  pushSchoolId(fields.map(f => req.body?.[f]).find(Boolean));
+const announceSchool = pushRequestSchool('schoolId', 'school');
+const livestreamSchool = pushRequestSchool('school');
+const pushSendSchool = pushRequestSchool('schoolId');
+
+app.post('/announcements/notify', apiAuth.requireScope('announce', { school: announceSchool }), async (req, res) => {
   try {
     const { schoolId, message, type, school } = req.body;
     if (!message || (!schoolId && !school)) {
       return res.status(400).json({ error: 'schoolId and message required' });
     }
 
-    const schoolMap = { OU: 'sooners', OSU: 'okstate', TEXAS: 'texas', ALL: 'sooners' };
-    const sid = schoolId || schoolMap[school] || school?.toLowerCase();
+    const sid = announceSchool(req);
 
     const { data: station, error: stationError } = await supabase
       .from('xsen_stations')
@@ -1828,29 +2419,30 @@ app.post('/announcements/notify', async (req, res) => {
     }
 
     const typeLabels = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
-    const result = await sendPushToSchool(sid, {
+    const payload = {
       title: `${typeLabels[type] || '🏈'} XSEN Sooners`,
       body:  message,
       icon:  '/icons/icon-192x192.png',
       tag:   `announcement-${Date.now()}`,
       url:   `https://xsen.fun/${sid}/app.html`
-    });
+    };
+    const result = await sendPushToSchool(sid, payload, { topic: 'announcements', source: 'announcement' });
+    apiAuth.audit(req, { action: 'announce', schoolId: sid, status: 'sent', campaignId: result.campaignId, payload });
 
     res.json({ success: true, ...result });
   } catch (err) {
     console.error('❌ Announcement notify error:', err);
+    apiAuth.audit(req, { action: 'announce', schoolId: announceSchool(req), status: 'failed', payload: { error: err.message } });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/livestream/notify', async (req, res) => {
+app.post('/livestream/notify', apiAuth.requireScope('livestream', { school: livestreamSchool }), async (req, res) => {
   try {
     const { school, streamId } = req.body;
     if (!school || !streamId) return res.status(400).json({ error: 'school and streamId required' });
 
-    const schoolMap = { OU: 'sooners', OSU: 'okstate', TEXAS: 'texas' };
-    const sid = schoolMap[school] || school.toLowerCase();
-    const names = { sooners: 'OU Sooners', okstate: 'OSU Cowboys', texas: 'Texas Longhorns' };
+    const sid = livestreamSchool(req);
 
     const { data } = await supabase
       .from('xsen_stations')
@@ -1862,44 +2454,132 @@ app.post('/livestream/notify', async (req, res) => {
       return res.status(403).json({ error: 'No active stream found' });
     }
 
-    const result = await sendPushToSchool(sid, {
-      title: '🔴 LIVE Now on XSEN!',
-      body:  `${names[sid] || sid} is streaming live — tune in!`,
-      icon:  '/icons/icon-192x192.png',
-      tag:   'xsen-live',
-      url:   `https://xsen.fun/${sid}/app.html`
-    });
+    const payload = liveStreamPayload('live', sid, data.youtube_live_id);
+    const result = await sendPushToSchool(sid, payload, { topic: 'live', source: 'livestream' });
+    await liveStreamWatcher.markNotified(school, data.youtube_live_id);
+    apiAuth.audit(req, { action: 'livestream', schoolId: sid, status: 'sent', campaignId: result.campaignId, payload });
 
     res.json({ success: true, ...result });
   } catch (err) {
     console.error('❌ Livestream notify error:', err);
+    apiAuth.audit(req, { action: 'livestream', schoolId: livestreamSchool(req), status: 'failed', payload: { error: err.message } });
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/push/send', async (req, res) => {
+app.post('/push/send', apiAuth.requireScope('push', { school: pushSendSchool }), async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    if (!authHeader || authHeader !== `Bearer ${process.env.MCP_API_KEY}`) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    const { schoolId, title, body, url, tag } = req.body;
+    const { schoolId, title, body, url, tag, topic = 'announcements', sport } = req.body;
     if (!schoolId || !title || !body) {
       return res.status(400).json({ error: 'schoolId, title, body required' });
     }
-    const result = await sendPushToSchool(schoolId, {
+    if (!PUSH_TOPICS[topic]) {
+      return res.status(400).json({ error: `topic must be one of ${Object.keys(PUSH_TOPICS).join(', ')}` });
+    }
+    const payload = {
       title, body,
       icon: '/icons/icon-192x192.png',
       tag:  tag || `manual-${Date.now()}`,
       url:  url || `https://xsen.fun/${schoolId}/app.html`
-    });
+    };
+    const result = await sendPushToSchool(schoolId, payload, { topic, sport, source: 'manual' });
+    apiAuth.audit(req, { action: 'push', schoolId: pushSendSchool(req), status: 'sent', campaignId: result.campaignId, payload: { ...payload, topic, sport } });
     res.json(result);
   } catch (err) {
     console.error('❌ Manual push error:', err);
+    apiAuth.audit(req, { action: 'push', schoolId: pushSendSchool(req), status: 'failed', payload: { error: err.message } });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery report for one send; campaignId comes back from every send route
+app.get('/push/campaigns/:id', requireAdmin, async (req, res) => {
+  const result = await pushDelivery.getCampaign(req.params.id);
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json(result.data);
+});
+
+// ─── SCHEDULED PUSH ROUTES ────────────────────────────────────────────────────
+
+// Body: same as /push/send plus sendAt (ISO) and optional expiresAt
+app.post('/push/schedule', apiAuth.requireScope('push', { school: pushSendSchool }), async (req, res) => {
+  try {
+    const { schoolId, title, body, url, tag, topic = 'announcements', sport, sendAt, expiresAt } = req.body;
+    if (!schoolId || !title || !body || !sendAt) {
+      return res.status(400).json({ error: 'schoolId, title, body, sendAt required' });
+    }
+    if (!PUSH_TOPICS[topic]) {
+      return res.status(400).json({ error: `topic must be one of ${Object.keys(PUSH_TOPICS).join(', ')}` });
+    }
+    const result = await pushScheduler.schedule({
+      schoolId, topic, sport, sendAt, expiresAt,
+      payload: {
+        title, body,
+        icon: '/icons/icon-192x192.png',
+        tag:  tag || `scheduled-${Date.now()}`,
+        url:  url || `https://xsen.fun/${schoolId}/app.html`
+      }
+    });
+    if (result.error) return res.status(result.status || 500).json({ error: result.error });
+    apiAuth.audit(req, { action: 'push', schoolId: pushSendSchool(req), status: 'scheduled', payload: { scheduledId: result.data.id, title, body, topic, sport, sendAt } });
+    res.status(201).json(result.data);
+  } catch (err) {
+    console.error('❌ Schedule push error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+app.get('/push/scheduled', requireAdmin, async (req, res) => {
+  const { schoolId, status = 'pending' } = req.query;
+  if (status !== 'all' && !SCHEDULED_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be all or one of ${SCHEDULED_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  const result = await pushScheduler.list({ schoolId, status: status === 'all' ? null : status, limit });
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json({ scheduled: result.data });
+});
+
+app.delete('/push/scheduled/:id', requireAdmin, async (req, res) => {
+  const result = await pushScheduler.cancel(req.params.id);
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json(result.data);
+});
+
+// ─── API CREDENTIAL ROUTES ────────────────────────────────────────────────────
+
+// Body: { name, schools: ["sooners"] | ["*"], actions: ["announce", ...], hmac?: true }
+// The key (and HMAC secret) are only ever in this response.
+app.post('/admin/credentials', requireAdmin, async (req, res) => {
+  const result = await apiAuth.createCredential(req.body || {});
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.status(201).json(result.data);
+});
+
+app.get('/admin/credentials', requireAdmin, async (req, res) => {
+  const result = await apiAuth.listCredentials();
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json({ credentials: result.data, actions: API_ACTIONS });
+});
+
+app.delete('/admin/credentials/:id', requireAdmin, async (req, res) => {
+  const result = await apiAuth.revokeCredential(req.params.id);
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json(result.data);
+});
+
+// Who sent (or tried to send) which push, newest first
+app.get('/admin/push-audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  const result = await apiAuth.auditLog({ schoolId: req.query.schoolId, limit });
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  res.json({ entries: result.data });
+});
+
+/* ------------------------------------------------------------------ */
+/*                           START SERVER                              */
+/* ------------------------------------------------------------------ */
+
 console.log("🚪 Binding to PORT:", PORT);
 
 app.listen(PORT, "0.0.0.0", () => {
@@ -0,0 +1,157 @@
+// ─── YOUTUBE LIVE WATCHER ─────────────────────────────────────────────────────
+// Polls xsen_stations.youtube_live_id and calls notify({ event, schoolId,
+// streamId }) when a station goes live ("live") or, optionally, goes dark
+// ("ended"). What each station last confirmed and notified is persisted, so
+// a deploy while a stream is up doesn't push "LIVE Now" again:
+//
+//   create table live_stream_state (
+//     school_id          text primary key,
+//     stream_id          text,          -- confirmed live id, null when dark
+//     notified_stream_id text,          -- last id we pushed "live" for
+//     notified_stream_ids text[] not null default '{}',  -- recent ids pushed, newest last
+//     pending_stream_id  text,          -- changed value waiting out the debounce
+//     pending_since      timestamptz,
+//     updated_at         timestamptz not null default now()
+//   );
+//
+// A change only counts once it has held for debounceMs, so an id that flaps
+// (A → null → A, or A → B → A) between polls never reaches fans. The last
+// RECENT_IDS announced ids are remembered, so a stream that is swapped back
+// after the debounce (A → B → A) isn't announced twice; switching to a new id
+// announces the new one without an "ended" for the old.
+//
+// Existing tables: alter table live_stream_state add column
+// notified_stream_ids text[] not null default '{}';
+
+const DEFAULT_POLL_MS = 30_000;
+const DEFAULT_DEBOUNCE_MS = 60_000;
+const RECENT_IDS = 10;
+
+// notified_stream_ids with streamId added last, oldest dropped past RECENT_IDS
+function remember(row, streamId) {
+  const ids = (row.notified_stream_ids || []).filter(id => id !== streamId);
+  return [...ids, streamId].slice(-RECENT_IDS);
+}
+
+export function createLiveStreamWatcher({
+  supabase,
+  notify,
+  table = "live_stream_state",
+  pollMs = DEFAULT_POLL_MS,
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  notifyEnded = false
+} = {}) {
+  const state = new Map();   // school → row
+  let loaded = false;
+  let checking = false;
+
+  async function loadState() {
+    const { data, error } = await supabase.from(table).select('*');
+    if (error) {
+      console.error("❌ Live stream state load error:", error.message);
+      return;
+    }
+    for (const row of data || []) state.set(row.school_id, row);
+    loaded = true;
+    console.log(`📺 Live stream state restored for ${state.size} stations`);
+  }
+
+  async function saveState(row) {
+    const { error } = await supabase
+      .from(table)
+      .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'school_id' });
+    if (error) throw new Error(error.message);
+    state.set(row.school_id, row);
+  }
+
+  async function checkStation(schoolId, observed) {
+    const row = state.get(schoolId) || { school_id: schoolId, stream_id: null, notified_stream_id: null, notified_stream_ids: [], pending_stream_id: null, pending_since: null };
+
+    if (observed === row.stream_id) {
+      if (row.pending_since) await saveState({ ...row, pending_stream_id: null, pending_since: null });
+      return;
+    }
+
+    // Start (or restart) the debounce for this value
+    if (!row.pending_since || row.pending_stream_id !== observed) {
+      await saveState({ ...row, pending_stream_id: observed, pending_since: new Date().toISOString() });
+      return;
+    }
+    if (Date.now() - new Date(row.pending_since).getTime() < debounceMs) return;
+
+    const previous = row.stream_id;
+    // Rows from before notified_stream_ids existed only have the last id
+    const recent = row.notified_stream_ids?.length ? row.notified_stream_ids
+      : row.notified_stream_id ? [row.notified_stream_id] : [];
+    const announce = observed && !recent.includes(observed);
+
+    // Saved before notifying: a crash in between skips one push rather than
+    // repeating it
+    await saveState({
+      ...row,
+      stream_id:           observed,
+      notified_stream_id:  announce ? observed : row.notified_stream_id,
+      notified_stream_ids: announce ? remember({ notified_stream_ids: recent }, observed) : recent,
+      pending_stream_id:   null,
+      pending_since:       null
+    });
+
+    if (announce) {
+      console.log(`🔴 Live stream ${observed} confirmed for ${schoolId}${previous ? ` (was ${previous})` : ""}`);
+      await notify({ event: "live", schoolId, streamId: observed });
+    } else if (!observed && previous) {
+      console.log(`⏹️ Live stream ${previous} ended for ${schoolId}`);
+      if (notifyEnded) await notify({ event: "ended", schoolId, streamId: previous });
+    }
+  }
+
+  async function check() {
+    if (checking) return;
+    checking = true;
+    try {
+      // Without the saved state every live stream would look new
+      if (!loaded) await loadState();
+      if (!loaded) return;
+
+      const { data: stations, error } = await supabase
+        .from('xsen_stations')
+        .select('school, youtube_live_id')
+        .not('school', 'is', null);
+      if (error) throw new Error(error.message);
+
+      for (const station of stations || []) {
+        try {
+          await checkStation(station.school, station.youtube_live_id || null);
+        } catch (err) {
+          console.error(`❌ YouTube Live watcher ${station.school}:`, err.message);
+        }
+      }
+    } catch (err) {
+      console.error('❌ YouTube Live watcher error:', err.message);
+    } finally {
+      checking = false;
+    }
+  }
+
+  // For pushes sent outside the watcher (/livestream/notify), so the same
+  // stream isn't announced twice
+  async function markNotified(schoolId, streamId) {
+    const row = state.get(schoolId) || { school_id: schoolId, stream_id: null, notified_stream_id: null, notified_stream_ids: [], pending_stream_id: null, pending_since: null };
+    try {
+      await saveState({ ...row, notified_stream_id: streamId, notified_stream_ids: remember(row, streamId) });
+    } catch (err) {
+      console.error(`❌ Live stream state update for ${schoolId}:`, err.message);
+    }
+  }
+
+  return {
+    check,
+    markNotified,
+
+    start() {
+      setTimeout(check, 8000).unref?.();
+      setInterval(check, pollMs).unref?.();
+      console.log(`📺 YouTube Live watcher started (debounce ${Math.round(debounceMs / 1000)}s${notifyEnded ? ", stream-ended pushes on" : ""})`);
+    }
+  };
+}
@@ -0,0 +1,131 @@
+// ─── MCP RESPONSE CACHE ───────────────────────────────────────────────────────
+// Sits under mcpCallTool. Entries are keyed by server + tool + normalized args
+// and live for a per-tool TTL. Once an entry expires it may still be served
+// for its stale-while-revalidate window while one background call refreshes it.
+// Only successful responses are stored.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Exact tool names win over patterns; first matching pattern wins.
+const TOOL_TTLS = {
+  get_score:         { ttl: 15 * SECOND, swr: 15 * SECOND },
+  get_team_matchup:  { ttl: 3 * DAY,     swr: 4 * DAY },
+  get_venue_info:    { ttl: 7 * DAY,     swr: 7 * DAY },
+  get_team_info:     { ttl: 1 * DAY,     swr: 2 * DAY }
+};
+
+const TOOL_TTL_PATTERNS = [
+  [/scoreboard|_scores?$|recent_results/, { ttl: 30 * SECOND, swr: 30 * SECOND }],
+  [/news/,                                 { ttl: 5 * MINUTE,  swr: 5 * MINUTE }],
+  [/injur|depth_chart/,                    { ttl: 15 * MINUTE, swr: 15 * MINUTE }],
+  [/stats/,                                { ttl: 10 * MINUTE, swr: 20 * MINUTE }],
+  [/schedule|standings/,                   { ttl: 30 * MINUTE, swr: 1 * HOUR }],
+  [/rankings?/,                            { ttl: 1 * HOUR,    swr: 2 * HOUR }],
+  [/roster|recruit|talent|returning/,      { ttl: 6 * HOUR,    swr: 12 * HOUR }],
+  [/records|history/,                      { ttl: 1 * DAY,     swr: 2 * DAY }]
+];
+
+const DEFAULT_TTL = { ttl: 5 * MINUTE, swr: 5 * MINUTE };
+
+export function ttlForTool(toolName) {
+  if (TOOL_TTLS[toolName]) return TOOL_TTLS[toolName];
+  const match = TOOL_TTL_PATTERNS.find(([pattern]) => pattern.test(toolName));
+  return match ? match[1] : DEFAULT_TTL;
+}
+
+// Stable key: sorted object keys, trimmed/lowercased strings, no empty values
+function normalizeArgs(value) {
+  if (Array.isArray(value)) return value.map(normalizeArgs);
+  if (value && typeof value === "object") {
+    return Object.keys(value)
+      .sort()
+      .filter(k => value[k] !== undefined && value[k] !== null && value[k] !== "")
+      .reduce((out, k) => ({ ...out, [k]: normalizeArgs(value[k]) }), {});
+  }
+  if (typeof value === "string") return value.trim().replace(/\s+/g, " ").toLowerCase();
+  return value;
+}
+
+export function cacheKey(server, toolName, args) {
+  return `${server}|${toolName}|${JSON.stringify(normalizeArgs(args || {}))}`;
+}
+
+export function createResponseCache({ maxEntries = 2000, enabled = true, ttlFor = ttlForTool } = {}) {
+  const entries = new Map();
+  const inflight = new Map();
+  const stats = { hits: 0, misses: 0, stale: 0, refreshes: 0, refreshErrors: 0 };
+
+  function store(key, value, { ttl, swr }) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value, freshUntil: now + ttl, staleUntil: now + ttl + swr });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Runs the loader once per key at a time; stores only { ok: true } results
+  function load(key, policy, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        if (value?.ok) store(key, value, policy);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  return {
+    async get(server, toolName, args, loader) {
+      if (!enabled) return loader();
+
+      const key = cacheKey(server, toolName, args);
+      const policy = ttlFor(toolName);
+      const entry = entries.get(key);
+      const now = Date.now();
+
+      if (entry && entry.freshUntil > now) {
+        stats.hits++;
+        return { ...entry.value, cache: "hit" };
+      }
+
+      if (entry && entry.staleUntil > now) {
+        stats.stale++;
+        if (!inflight.has(key)) {
+          stats.refreshes++;
+          load(key, policy, loader)
+            .then(value => { if (!value?.ok) stats.refreshErrors++; })
+            .catch(() => { stats.refreshErrors++; });
+        }
+        return { ...entry.value, cache: "stale" };
+      }
+
+      stats.misses++;
+      const value = await load(key, policy, loader);
+      return { ...value, cache: "miss" };
+    },
+
+    invalidate(server) {
+      for (const key of entries.keys()) {
+        if (!server || key.startsWith(`${server}|`)) entries.delete(key);
+      }
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.stale + stats.misses;
+      return {
+        ...stats,
+        entries: entries.size,
+        hitRate: lookups ? Number(((stats.hits + stats.stale) / lookups).toFixed(3)) : 0
+      };
+    }
+  };
+}
@@ -0,0 +1,342 @@
+import { createResponseCache } from "./mcpCache.js";
+import { createCircuitBreaker, withRetry } from "./circuitBreaker.js";
+
+// ─── MCP CLIENT ───────────────────────────────────────────────────────────────
+// Streamable HTTP client for the ESPN / CFBD / school MCP servers.
+//
+// - Runs the initialize → notifications/initialized handshake once per server
+//   and replays the negotiated Mcp-Session-Id on every request.
+// - Accepts both application/json and text/event-stream (SSE-framed) replies.
+// - Surfaces JSON-RPC error objects and tool results flagged isError as errors.
+// - Servers that reject the handshake (older bare tools/call servers) are
+//   remembered as legacy and called without it.
+// - close() ends the session with an HTTP DELETE, for short-lived clients.
+// - Each server gets its own circuit breaker; idempotent calls are retried
+//   with exponential backoff on network errors, 429 and 5xx.
+
+const PROTOCOL_VERSION = "2025-03-26";
+const CLIENT_INFO = { name: "xsen-orchestrator", version: "1.2.0" };
+const HANDSHAKE_TIMEOUT_MS = 10000;
+
+const clients = new Map();
+
+const responseCache = createResponseCache({
+  enabled: (process.env.MCP_CACHE || "on").toLowerCase() !== "off",
+  maxEntries: Number(process.env.MCP_CACHE_MAX) || 2000
+});
+
+function mcpError(message, { code, status = 0, data } = {}) {
+  const err = new Error(message);
+  err.name = "McpError";
+  err.code = code;
+  err.status = status;
+  err.data = data;
+  return err;
+}
+
+// Transport-level trouble — the server didn't answer. JSON-RPC and tool errors
+// mean the server is up, so they neither trip the breaker nor get retried.
+function isBackendFailure(err) {
+  if (err?.code === "NETWORK" || err?.code === "TIMEOUT") return true;
+  return err?.code === "HTTP" && (err.status === 429 || err.status >= 500);
+}
+
+// Timeouts already burned the whole budget — retrying them just triples the wait
+function isRetryable(err) {
+  return isBackendFailure(err) && err.code !== "TIMEOUT";
+}
+
+// Read-only tools are safe to repeat
+function isIdempotentTool(name) {
+  return /^(get|list|search|fetch|find)_/.test(name);
+}
+
+function endpointFor(baseUrl) {
+  const trimmed = baseUrl.replace(/\/+$/, "");
+  return trimmed.endsWith("/mcp") ? trimmed : `${trimmed}/mcp`;
+}
+
+// Reads an SSE body until the JSON-RPC response with the given id shows up.
+// Server-initiated notifications/requests on the same stream are skipped.
+async function readSseResponse(response, id) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (value) buffer += decoder.decode(value, { stream: true });
+
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? "" : events.pop();
+
+      for (const event of events) {
+        const data = event
+          .split(/\r?\n/)
+          .filter(line => line.startsWith("data:"))
+          .map(line => line.slice(5).replace(/^ /, ""))
+          .join("\n");
+        if (!data) continue;
+
+        let message;
+        try {
+          message = JSON.parse(data);
+        } catch {
+          continue;
+        }
+
+        const batch = Array.isArray(message) ? message : [message];
+        const match = batch.find(m => m && m.id === id && ("result" in m || "error" in m));
+        if (match) return match;
+      }
+
+      if (done) break;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+
+  throw mcpError("MCP stream ended without a response", { status: response.status });
+}
+
+export function createMcpClient(baseUrl, { apiKey = process.env.MCP_API_KEY } = {}) {
+  const endpoint = endpointFor(baseUrl);
+  let nextId = 1;
+  let sessionId = null;
+  let protocolVersion = null;
+  let legacy = false;
+  let initializing = null;
+
+  const breaker = createCircuitBreaker(endpoint, {
+    failureThreshold: Number(process.env.MCP_BREAKER_THRESHOLD) || 3,
+    cooldownMs: Number(process.env.MCP_BREAKER_COOLDOWN_MS) || 30000,
+    isFailure: isBackendFailure
+  });
+
+  function headersFor() {
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json, text/event-stream"
+    };
+    if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+    if (sessionId) headers["Mcp-Session-Id"] = sessionId;
+    if (protocolVersion) headers["MCP-Protocol-Version"] = protocolVersion;
+    return headers;
+  }
+
+  // One JSON-RPC round trip. Notifications (no id) resolve to null.
+  async function post(method, params, timeoutMs, { notification = false } = {}) {
+    const id = notification ? undefined : nextId++;
+    const body = { jsonrpc: "2.0", method, ...(params !== undefined && { params }), ...(id !== undefined && { id }) };
+
+    let r;
+    try {
+      r = await fetch(endpoint, {
+        method: "POST",
+        headers: headersFor(),
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (e) {
+      const timedOut = e?.name === "TimeoutError" || e?.name === "AbortError";
+      throw mcpError(timedOut ? `MCP request timed out after ${timeoutMs}ms` : (e?.message || String(e)), { code: timedOut ? "TIMEOUT" : "NETWORK" });
+    }
+
+    const returnedSession = r.headers.get("mcp-session-id");
+    if (returnedSession) sessionId = returnedSession;
+
+    if (notification) {
+      await r.body?.cancel().catch(() => {});
+      return null;
+    }
+
+    if (!r.ok) {
+      const text = await r.text().catch(() => "");
+      throw mcpError(text || `MCP server returned ${r.status}`, { status: r.status, code: "HTTP" });
+    }
+
+    const contentType = r.headers.get("content-type") || "";
+    if (contentType.includes("text/event-stream")) {
+      return { status: r.status, message: await readSseResponse(r, id) };
+    }
+
+    const text = await r.text();
+    try {
+      return { status: r.status, message: JSON.parse(text) };
+    } catch {
+      // Pre-MCP servers sometimes answer with plain text
+      return { status: r.status, message: { result: { content: [{ type: "text", text }] } } };
+    }
+  }
+
+  async function handshake() {
+    try {
+      const { message } = await post("initialize", {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      }, HANDSHAKE_TIMEOUT_MS);
+
+      if (message?.error || !message?.result?.protocolVersion) {
+        legacy = true;
+        console.warn(`⚠️ MCP ${endpoint} rejected initialize — using legacy mode`);
+        return;
+      }
+
+      protocolVersion = message.result.protocolVersion;
+      await post("notifications/initialized", undefined, HANDSHAKE_TIMEOUT_MS, { notification: true });
+      console.log(`🤝 MCP session ready: ${endpoint} (${message.result.serverInfo?.name || "unknown server"}, protocol ${protocolVersion})`);
+    } catch (err) {
+      // 4xx on initialize means an older server that only speaks tools/call
+      if (err.code === "HTTP" && err.status >= 400 && err.status < 500) {
+        legacy = true;
+        console.warn(`⚠️ MCP ${endpoint} returned ${err.status} to initialize — using legacy mode`);
+        return;
+      }
+      throw err;
+    }
+  }
+
+  function ensureInitialized() {
+    if (legacy || protocolVersion) return Promise.resolve();
+    if (!initializing) {
+      initializing = handshake().finally(() => { initializing = null; });
+    }
+    return initializing;
+  }
+
+  function resetSession() {
+    sessionId = null;
+    protocolVersion = null;
+  }
+
+  // Servers that don't support explicit termination answer 405 — the session
+  // then just expires on their side, so failures here are ignored
+  async function close({ timeoutMs = HANDSHAKE_TIMEOUT_MS } = {}) {
+    if (!sessionId) return;
+    const headers = headersFor();
+    resetSession();
+    const r = await fetch(endpoint, { method: "DELETE", headers, signal: AbortSignal.timeout(timeoutMs) }).catch(() => null);
+    await r?.body?.cancel().catch(() => {});
+  }
+
+  async function attempt(method, params, timeoutMs) {
+    await ensureInitialized();
+
+    let response;
+    try {
+      response = await post(method, params, timeoutMs);
+    } catch (err) {
+      // 404 with a session id means the server dropped our session — start over once
+      if (err.status === 404 && sessionId) {
+        resetSession();
+        await ensureInitialized();
+        response = await post(method, params, timeoutMs);
+      } else {
+        throw err;
+      }
+    }
+
+    const { message, status } = response;
+    if (message?.error) {
+      throw mcpError(message.error.message || "MCP error", { code: message.error.code, status, data: message.error.data });
+    }
+
+    // Legacy servers may answer without a JSON-RPC envelope
+    return message && "result" in message ? message.result : message;
+  }
+
+  function request(method, params, { timeoutMs = 7000, idempotent = false } = {}) {
+    return breaker.run(() => withRetry(
+      () => attempt(method, params, timeoutMs),
+      { retries: idempotent ? 2 : 0, shouldRetry: isRetryable }
+    ));
+  }
+
+  return {
+    endpoint,
+
+    request,
+
+    circuit: () => breaker.snapshot(),
+
+    close,
+
+    async listTools({ timeoutMs = 5000 } = {}) {
+      const result = await request("tools/list", {}, { timeoutMs, idempotent: true });
+      return Array.isArray(result?.tools) ? result.tools : [];
+    },
+
+    async callTool(name, args = {}, { timeoutMs = 7000, idempotent = isIdempotentTool(name) } = {}) {
+      const result = await request("tools/call", { name, arguments: args }, { timeoutMs, idempotent });
+      if (result?.isError) {
+        throw mcpError(extractMcpText(result) || `${name} failed`, { code: "TOOL_ERROR" });
+      }
+      return result;
+    }
+  };
+}
+
+// One shared client (and MCP session) per server
+export function getMcpClient(baseUrl) {
+  const key = endpointFor(baseUrl);
+  if (!clients.has(key)) clients.set(key, createMcpClient(baseUrl));
+  return clients.get(key);
+}
+
+export function extractMcpText(data) {
+  if (!data) return "";
+  if (typeof data === "string") return data;
+
+  const result = data.result || data;
+  if (typeof result === "string") return result;
+
+  if (Array.isArray(result.content)) {
+    return result.content
+      .map(item => item.text || item.data || "")
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  if (typeof result.text === "string") return result.text;
+
+  return (
+    data.response ||
+    data.reply ||
+    data.output_text ||
+    data.output ||
+    data.message ||
+    (data.data && (data.data.response || data.data.reply || data.data.output)) ||
+    ""
+  ).toString();
+}
+
+// tools/call that never throws — resolves to { ok, status, text } or
+// { ok: false, status, error } so tool functions can branch like before.
+// Successful responses go through the TTL cache (see mcpCache.js).
+export async function mcpCallTool(baseUrl, name, args, timeoutMs = 7000) {
+  const client = getMcpClient(baseUrl);
+
+  return responseCache.get(client.endpoint, name, args, async () => {
+    try {
+      const result = await client.callTool(name, args, { timeoutMs });
+      return { ok: true, status: 200, result, text: extractMcpText(result) };
+    } catch (err) {
+      const failed = { ok: false, status: err.status || 0, code: err.code, error: err.message };
+      if (err.code === "CIRCUIT_OPEN") {
+        failed.userMessage = "That data source is temporarily offline. Let the fan know it should be back shortly, and offer what you can answer in the meantime.";
+      }
+      return failed;
+    }
+  });
+}
+
+// Circuit state per server, for status reporting
+export function getMcpCircuits() {
+  return [...clients.values()].map(client => ({ endpoint: client.endpoint, ...client.circuit() }));
+}
+
+export function getMcpCacheStats() {
+  return responseCache.stats();
+}
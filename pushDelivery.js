@@ -0,0 +1,207 @@
+import { wantsPush } from "./pushTopics.js";
+
+// ─── PUSH DELIVERY ────────────────────────────────────────────────────────────
+// Fans a push out to a school's subscribers with bounded concurrency, retrying
+// endpoints that answer 429 or 5xx, and records one delivery report per send
+// (a "campaign"):
+//
+//   create table push_campaigns (
+//     id           uuid primary key default gen_random_uuid(),
+//     school_id    text not null,
+//     topic        text not null,
+//     sport        text,
+//     source       text,                              -- youtube | livestream | announcement | manual | scheduled | scores
+//     payload      jsonb,
+//     status       text not null default 'sending',   -- sending | completed | failed
+//     targeted     int default 0,                     -- subscribers matching topic/sport
+//     skipped      int default 0,                     -- active subscribers who opted out
+//     sent         int default 0,
+//     failed       int default 0,
+//     expired      int default 0,                     -- 404/410, deactivated
+//     retried      int default 0,
+//     errors       jsonb,                             -- { "<status>": count }
+//     avg_send_ms  int,
+//     max_send_ms  int,
+//     duration_ms  int,
+//     started_at   timestamptz,
+//     finished_at  timestamptz,
+//     error        text
+//   );
+//
+// Subscribers are read a page at a time so a large school never has to fit
+// in one Supabase response.
+
+const DEFAULT_CONCURRENCY = 50;
+const DEFAULT_RETRIES = 2;
+const PAGE_SIZE = 1000;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30_000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  // No status code = network failure before the push service answered
+  return !err.statusCode || err.statusCode === 429 || err.statusCode >= 500;
+}
+
+// Retry-After (seconds or an HTTP date) wins over exponential backoff
+function retryDelay(err, attempt) {
+  const header = err.headers?.["retry-after"];
+  if (header) {
+    const seconds = Number(header);
+    const ms = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+    if (ms > 0) return Math.min(ms, RETRY_MAX_MS);
+  }
+  return Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+}
+
+// Runs `worker` over `items` with at most `limit` in flight
+async function runPool(items, limit, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+export function createPushDelivery({
+  supabase,
+  webpush,
+  table = "push_campaigns",
+  concurrency = DEFAULT_CONCURRENCY,
+  retries = DEFAULT_RETRIES
+} = {}) {
+  async function sendOne(sub, body, stats) {
+    const started = Date.now();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await webpush.sendNotification(
+          { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+          body
+        );
+        stats.sent++;
+        break;
+      } catch (err) {
+        if (attempt < retries && isRetryable(err)) {
+          stats.retried++;
+          await sleep(retryDelay(err, attempt));
+          continue;
+        }
+
+        const key = String(err.statusCode || "network");
+        stats.errors[key] = (stats.errors[key] || 0) + 1;
+        if (err.statusCode === 410 || err.statusCode === 404) {
+          stats.expired++;
+          stats.expiredIds.push(sub.id);
+        } else {
+          stats.failed++;
+        }
+        break;
+      }
+    }
+    const elapsed = Date.now() - started;
+    stats.totalSendMs += elapsed;
+    stats.maxSendMs = Math.max(stats.maxSendMs, elapsed);
+  }
+
+  async function startCampaign(fields) {
+    const { data, error } = await supabase
+      .from(table)
+      .insert({ ...fields, status: 'sending', started_at: new Date().toISOString() })
+      .select('id')
+      .single();
+    // A missing report shouldn't stop the push itself
+    if (error) console.error("❌ Push campaign insert error:", error.message);
+    return data?.id || null;
+  }
+
+  async function finishCampaign(id, fields) {
+    if (!id) return;
+    const { error } = await supabase.from(table).update(fields).eq('id', id);
+    if (error) console.error(`❌ Push campaign ${id} update error:`, error.message);
+  }
+
+  // → { campaignId, targeted, skipped, sent, failed, expired, retried, durationMs }
+  async function send(schoolId, payload, { topic, sport, source } = {}) {
+    const started = Date.now();
+    const campaignId = await startCampaign({ school_id: schoolId, topic, sport: sport || null, source: source || null, payload });
+    const body = JSON.stringify(payload);
+    const stats = { sent: 0, failed: 0, expired: 0, retried: 0, errors: {}, expiredIds: [], totalSendMs: 0, maxSendMs: 0 };
+    let active = 0, targeted = 0;
+
+    try {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data: page, error } = await supabase
+          .from('push_subscriptions')
+          .select('*')
+          .eq('school_id', schoolId)
+          .eq('active', true)
+          .order('id', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(error.message);
+
+        const subs = (page || []).filter(sub => wantsPush(sub, { topic, sport }));
+        active += page?.length || 0;
+        targeted += subs.length;
+
+        await runPool(subs, concurrency, (sub) => sendOne(sub, body, stats));
+        if (!page || page.length < PAGE_SIZE) break;
+      }
+    } catch (err) {
+      console.error(`❌ Push delivery for ${schoolId} stopped:`, err.message);
+      stats.error = err.message;
+    }
+
+    // Deactivated only after paging is done, or the offsets would shift
+    // under us and skip subscribers
+    for (let i = 0; i < stats.expiredIds.length; i += PAGE_SIZE) {
+      await supabase.from('push_subscriptions').update({ active: false }).in('id', stats.expiredIds.slice(i, i + PAGE_SIZE));
+    }
+
+    const report = {
+      campaignId,
+      targeted,
+      skipped:    active - targeted,
+      sent:       stats.sent,
+      failed:     stats.failed,
+      expired:    stats.expired,
+      retried:    stats.retried,
+      durationMs: Date.now() - started
+    };
+
+    await finishCampaign(campaignId, {
+      status:      stats.error ? 'failed' : 'completed',
+      targeted,
+      skipped:     report.skipped,
+      sent:        stats.sent,
+      failed:      stats.failed,
+      expired:     stats.expired,
+      retried:     stats.retried,
+      errors:      stats.errors,
+      avg_send_ms: targeted ? Math.round(stats.totalSendMs / targeted) : null,
+      max_send_ms: targeted ? stats.maxSendMs : null,
+      duration_ms: report.durationMs,
+      finished_at: new Date().toISOString(),
+      error:       stats.error || null
+    });
+
+    if (!targeted) {
+      console.log(`📭 No push subscribers for ${schoolId} / ${topic}${sport ? ` / ${sport}` : ''}`);
+    } else {
+      console.log(`✅ Push complete (${topic}, ${schoolId}) — sent: ${stats.sent}, failed: ${stats.failed}, expired: ${stats.expired}, retried: ${stats.retried} in ${report.durationMs}ms`);
+    }
+    return report;
+  }
+
+  async function getCampaign(id) {
+    const { data, error } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+    if (error) return { error: error.message, status: 500 };
+    if (!data) return { error: "Campaign not found", status: 404 };
+    return { data };
+  }
+
+  return { send, getCampaign };
+}
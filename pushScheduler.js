@@ -0,0 +1,325 @@
+// ─── SCHEDULED PUSHES ─────────────────────────────────────────────────────────
+// Pushes queued for a future time, persisted in Supabase so they survive
+// restarts. A poller claims due jobs (pending → sending) with a conditional
+// update, so two replicas never send the same job. Jobs that come due while
+// the server is down are still sent on startup unless they've passed their
+// expires_at — a "kickoff in 1 hour" reminder is useless after kickoff.
+//
+//   create table scheduled_pushes (
+//     id          uuid primary key default gen_random_uuid(),
+//     school_id   text not null,
+//     topic       text not null,
+//     sport       text,
+//     payload     jsonb not null,
+//     send_at     timestamptz not null,
+//     expires_at  timestamptz,
+//     status      text not null default 'pending',  -- pending | sending | sent | failed | cancelled | expired
+//     source      text not null default 'manual',   -- manual | game-reminder
+//     dedupe_key  text unique,
+//     result      jsonb,
+//     claimed_at  timestamptz,
+//     sent_at     timestamptz,
+//     created_at  timestamptz not null default now()
+//   );
+//   create index on scheduled_pushes (status, send_at);
+//
+// Methods resolve to { data } or { error, status } — they never throw.
+
+const DEFAULT_POLL_MS = 30_000;
+const DEFAULT_TTL_MS = 6 * 60 * 60 * 1000;
+// A job stuck in "sending" this long was claimed by a process that died.
+// The sending process refreshes claimed_at every CLAIM_HEARTBEAT_MS, so a
+// large campaign that's still going is never mistaken for one.
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const CLAIM_HEARTBEAT_MS = 60 * 1000;
+const BATCH_SIZE = 25;
+
+export const SCHEDULED_STATUSES = ["pending", "sending", "sent", "failed", "cancelled", "expired"];
+
+// sendAt/expiresAt → { data: { sendAt, expiresAt } } as Dates, or { error, status }
+function jobTimes(sendAt, expiresAt) {
+  const at = new Date(sendAt);
+  if (!sendAt || Number.isNaN(at.getTime())) return { error: "sendAt must be an ISO date", status: 400 };
+  const expires = expiresAt ? new Date(expiresAt) : new Date(at.getTime() + DEFAULT_TTL_MS);
+  if (Number.isNaN(expires.getTime())) return { error: "expiresAt must be an ISO date", status: 400 };
+  if (expires <= at) return { error: "expiresAt must be after sendAt", status: 400 };
+  return { data: { sendAt: at, expiresAt: expires } };
+}
+
+export function createPushScheduler({ supabase, send, table = "scheduled_pushes", pollMs = DEFAULT_POLL_MS } = {}) {
+  let timer = null;
+  let ticking = false;
+
+  async function schedule({ schoolId, topic, sport, payload, sendAt, expiresAt, source = "manual", dedupeKey }) {
+    const times = jobTimes(sendAt, expiresAt);
+    if (times.error) return times;
+    const { sendAt: at, expiresAt: expires } = times.data;
+    if (at.getTime() < Date.now() - 60_000) return { error: "sendAt is in the past", status: 400 };
+
+    const { data, error } = await supabase
+      .from(table)
+      .insert({
+        school_id:  schoolId,
+        topic,
+        sport:      sport || null,
+        payload,
+        send_at:    at.toISOString(),
+        expires_at: expires.toISOString(),
+        source,
+        dedupe_key: dedupeKey || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("❌ Schedule push error:", error.message);
+      return { error: error.message, status: 500 };
+    }
+    console.log(`⏰ Push scheduled for ${schoolId} at ${data.send_at} (${source}, ${topic})`);
+    return { data };
+  }
+
+  // Creates the job, or moves a still-pending one to its new time (a game
+  // that got rescheduled). Sent or cancelled jobs are left alone.
+  async function upsertByKey(job) {
+    const times = jobTimes(job.sendAt, job.expiresAt);
+    if (times.error) return times;
+
+    const { data: existing, error } = await supabase
+      .from(table)
+      .select('id, status, send_at')
+      .eq('dedupe_key', job.dedupeKey)
+      .maybeSingle();
+    if (error) return { error: error.message, status: 500 };
+
+    if (!existing) return schedule(job);
+    if (existing.status !== "pending") return { data: existing };
+
+    const sendAt = times.data.sendAt.toISOString();
+    if (new Date(existing.send_at).getTime() === times.data.sendAt.getTime()) return { data: existing };
+
+    const { data, error: updateError } = await supabase
+      .from(table)
+      .update({ send_at: sendAt, expires_at: times.data.expiresAt.toISOString(), payload: job.payload })
+      .eq('id', existing.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (updateError) return { error: updateError.message, status: 500 };
+    console.log(`⏰ Rescheduled ${job.dedupeKey} → ${sendAt}`);
+    return { data: data || existing };
+  }
+
+  async function list({ schoolId, status, limit = 100 } = {}) {
+    let query = supabase.from(table).select('*');
+    if (schoolId) query = query.eq('school_id', schoolId);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query.order('send_at', { ascending: true }).limit(limit);
+    if (error) return { error: error.message, status: 500 };
+    return { data: data || [] };
+  }
+
+  async function cancel(id) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ status: 'cancelled' })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    if (error) return { error: error.message, status: 500 };
+    if (!data) return { error: "No pending scheduled push with that id", status: 404 };
+    console.log(`🚫 Scheduled push ${id} cancelled`);
+    return { data };
+  }
+
+  // pending → sending, only if nobody else got there first
+  async function claim(job) {
+    const { data } = await supabase
+      .from(table)
+      .update({ status: 'sending', claimed_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    return data;
+  }
+
+  async function finish(id, fields) {
+    const { error } = await supabase.from(table).update(fields).eq('id', id);
+    if (error) console.error(`❌ Scheduled push ${id} update error:`, error.message);
+  }
+
+  async function releaseStaleClaims() {
+    await supabase
+      .from(table)
+      .update({ status: 'pending', claimed_at: null })
+      .eq('status', 'sending')
+      .lt('claimed_at', new Date(Date.now() - STALE_CLAIM_MS).toISOString());
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await releaseStaleClaims();
+
+      const now = new Date();
+      const { data: due, error } = await supabase
+        .from(table)
+        .select('*')
+        .eq('status', 'pending')
+        .lte('send_at', now.toISOString())
+        .order('send_at', { ascending: true })
+        .limit(BATCH_SIZE);
+      if (error) throw error;
+
+      for (const job of due || []) {
+        if (job.expires_at && new Date(job.expires_at) <= now) {
+          await finish(job.id, { status: 'expired' });
+          console.log(`⌛ Scheduled push ${job.id} expired before it could be sent`);
+          continue;
+        }
+
+        const claimed = await claim(job);
+        if (!claimed) continue;
+
+        const heartbeat = setInterval(() => {
+          supabase.from(table).update({ claimed_at: new Date().toISOString() }).eq('id', job.id).eq('status', 'sending')
+            .then(({ error }) => error && console.error(`❌ Scheduled push ${job.id} heartbeat error:`, error.message));
+        }, CLAIM_HEARTBEAT_MS);
+        try {
+          const result = await send(claimed);
+          await finish(job.id, { status: 'sent', sent_at: new Date().toISOString(), result });
+        } catch (err) {
+          console.error(`❌ Scheduled push ${job.id} failed:`, err.message);
+          await finish(job.id, { status: 'failed', result: { error: err.message } });
+        } finally {
+          clearInterval(heartbeat);
+        }
+      }
+    } catch (err) {
+      console.error("❌ Push scheduler error:", err.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    schedule,
+    upsertByKey,
+    list,
+    cancel,
+    tick,
+
+    start() {
+      setTimeout(tick, 5000).unref?.();
+      timer = setInterval(tick, pollMs);
+      timer.unref?.();
+      console.log(`⏰ Push scheduler started (every ${Math.round(pollMs / 1000)}s)`);
+    }
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                         GAME-DAY REMINDERS                          */
+/* ------------------------------------------------------------------ */
+
+// Pulls each school's upcoming games for sports that are in season and
+// queues "kickoff in 1 hour"-style pushes on the game-reminders topic.
+// Reminders are keyed by school/sport/game/offset, so re-syncing only moves
+// games whose start time changed.
+
+const SYNC_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+
+// "Kickoff", "First pitch", … — shared with the score watcher
+export function gameStartLabel(sport) {
+  return /football|soccer/.test(sport) ? "Kickoff"
+    : /baseball|softball/.test(sport) ? "First pitch"
+    : /basketball/.test(sport) ? "Tip-off"
+    : "Game time";
+}
+
+function reminderText(school, game, sport, minutes) {
+  const lead = minutes >= 120 && minutes % 60 === 0
+    ? `${minutes / 60} hours`
+    : minutes === 60 ? "1 hour" : `${minutes} minutes`;
+  const start = gameStartLabel(sport);
+  const matchup = game.opponent ? `${school.displayName} ${game.home === false ? "at" : "vs"} ${game.opponent}` : `${school.displayName} game`;
+  return {
+    title: `⏰ ${start} in ${lead}!`,
+    body: `${matchup}${game.venue ? ` — ${game.venue}` : ""}. Tune in to ${school.displayName} Radio on XSEN! 🎙️`
+  };
+}
+
+export function createGameReminders({
+  scheduler,
+  schools,
+  seasonStatus,
+  fetchGames,
+  offsetsMinutes = [60],
+  syncMs = 60 * 60 * 1000
+} = {}) {
+  async function sync() {
+    const now = Date.now();
+    let queued = 0;
+
+    for (const school of schools()) {
+      for (const sport of school.sports || []) {
+        const status = seasonStatus(school, sport);
+        // Preseason included so week-one games get reminders too
+        if (!status || status.phase === "offseason") continue;
+
+        let games = [];
+        try {
+          games = await fetchGames(school, sport);
+        } catch (err) {
+          console.error(`❌ Reminder schedule fetch failed for ${school.id}/${sport}:`, err.message);
+          continue;
+        }
+
+        for (const game of games) {
+          const startsAt = new Date(game.startsAt).getTime();
+          if (!(startsAt > now && startsAt - now < SYNC_HORIZON_MS)) continue;
+
+          for (const minutes of offsetsMinutes) {
+            const sendAt = startsAt - minutes * 60_000;
+            if (sendAt < now) continue;
+
+            const result = await scheduler.upsertByKey({
+              schoolId: school.id,
+              topic: "game-reminders",
+              sport,
+              source: "game-reminder",
+              dedupeKey: `reminder:${school.id}:${sport}:${game.id || startsAt}:${minutes}`,
+              sendAt,
+              expiresAt: startsAt,
+              payload: {
+                ...reminderText(school, game, sport, minutes),
+                icon: "/icons/icon-192x192.png",
+                tag:  `reminder-${school.id}-${game.id || startsAt}`,
+                url:  `https://xsen.fun/${school.id}/app.html`
+              }
+            });
+            if (result.data) queued++;
+          }
+        }
+      }
+    }
+
+    console.log(`⏰ Game reminders synced (${queued} upcoming)`);
+    return queued;
+  }
+
+  return {
+    sync,
+
+    start() {
+      const run = () => sync().catch(err => console.error("❌ Game reminder sync error:", err.message));
+      setTimeout(run, 15_000).unref?.();
+      setInterval(run, syncMs).unref?.();
+      console.log(`⏰ Game reminders enabled (${offsetsMinutes.join(", ")} min before start)`);
+    }
+  };
+}
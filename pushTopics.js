@@ -0,0 +1,65 @@
+import { sportKey } from "./seasonCalendar.js";
+
+// ─── PUSH TOPICS ──────────────────────────────────────────────────────────────
+// Subscribers pick which kinds of pushes they want, and optionally which
+// sports. Every send names its topic (and sport, when there is one) and only
+// matching subscribers get it.
+//
+// Preferences live on push_subscriptions:
+//
+//   alter table push_subscriptions
+//     add column topics text[],   -- null = every topic (subscribed before topics existed)
+//     add column sports text[];   -- null or empty = every sport
+//
+// Sports are stored as season-calendar keys ("mens-basketball"), so
+// "basketball" on either side matches.
+
+export const PUSH_TOPICS = {
+  live:             "Live streams",
+  announcements:    "Announcements",
+  "game-reminders": "Game reminders",
+  scores:           "Score updates"
+};
+
+const TOPIC_IDS = Object.keys(PUSH_TOPICS);
+
+// { topics?, sports? } from a request body → { data: { topics, sports } } or
+// { error }. Fields left out stay undefined so an upsert won't touch them.
+export function normalizePreferences({ topics, sports } = {}) {
+  const data = {};
+
+  if (topics !== undefined) {
+    if (!Array.isArray(topics) || topics.some(t => typeof t !== "string")) {
+      return { error: "topics must be an array of strings" };
+    }
+    const unknown = topics.filter(t => !TOPIC_IDS.includes(t));
+    if (unknown.length) return { error: `Unknown topics: ${unknown.join(", ")} (use ${TOPIC_IDS.join(", ")})` };
+    data.topics = [...new Set(topics)];
+  }
+
+  if (sports !== undefined) {
+    if (!Array.isArray(sports) || sports.some(s => typeof s !== "string" || !s.trim())) {
+      return { error: "sports must be an array of strings" };
+    }
+    data.sports = [...new Set(sports.map(sportKey))];
+  }
+
+  return { data };
+}
+
+// Does this push_subscriptions row want a push on `topic` (about `sport`)?
+export function wantsPush(sub, { topic, sport } = {}) {
+  if (Array.isArray(sub.topics) && !sub.topics.includes(topic)) return false;
+  if (sport && Array.isArray(sub.sports) && sub.sports.length) {
+    return sub.sports.includes(sportKey(sport));
+  }
+  return true;
+}
+
+// Stored row → what the front end shows (null columns mean "everything")
+export function describePreferences(sub) {
+  return {
+    topics: Array.isArray(sub.topics) ? sub.topics : TOPIC_IDS,
+    sports: Array.isArray(sub.sports) ? sub.sports : []
+  };
+}
@@ -0,0 +1,269 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ─── RATE LIMITS + QUOTAS ─────────────────────────────────────────────────────
+// Every /chat and /tts request is checked against, in order:
+//
+//   1. a per-IP burst limit (catches scripts cycling anonymous sessions)
+//   2. a per-fan burst limit for their tier
+//   3. a monthly quota for their tier
+//
+// Limits live in rateLimits.json: ip.<kind>, tiers.<tier>.<kind>, and
+// schools.<school>.<tier>.<kind> to override burst/monthly for one school.
+// Tiers are anonymous, free and premium (see chatIdentity.js); kinds are
+// chat and tts.
+//
+// Burst limits are in-memory token buckets. Monthly counts are kept in memory
+// too: a fan's count is read from Supabase once per process per month, then
+// increments are batched and flushed through increment_usage every
+// FLUSH_MS, which returns the shared total so replicas converge. Counters
+// are dropped after COUNTER_IDLE_MS idle or beyond MAX_COUNTERS (least
+// recently used first, never with increments still unflushed).
+//
+// Chat usage from before this table existed lives in message_logs: when a
+// fan has no chat row for the month yet, their user messages this month are
+// counted there and written as the starting row (first writer wins, so
+// replicas don't double it).
+//
+//   create table usage_counters (
+//     subject  text not null,   -- user id, anon:<session>, or ip:<address> for callers without a session token
+//     kind     text not null,   -- chat | tts
+//     month    text not null,   -- YYYY-MM (UTC)
+//     count    int  not null default 0,
+//     primary key (subject, kind, month)
+//   );
+//
+//   create function increment_usage(p_subject text, p_kind text, p_month text, p_by int)
+//   returns int language sql as $$
+//     insert into usage_counters (subject, kind, month, count)
+//     values (p_subject, p_kind, p_month, p_by)
+//     on conflict (subject, kind, month) do update set count = usage_counters.count + p_by
+//     returning count;
+//   $$;
+//
+// consume() → { data: { tier, period, limit, used, remaining, resetAt } }
+//           | { error, status: 429, retryAfter, scope: "ip" | "burst" | "monthly" }
+// usage()   → { tier, period, limit, used, remaining, resetAt, burst }
+
+export const LIMIT_KINDS = ["chat", "tts"];
+export const TIERS = ["anonymous", "free", "premium"];
+
+const FLUSH_MS = 30_000;
+const MAX_BUCKETS = 50_000;
+const MAX_COUNTERS = 20_000;
+const COUNTER_IDLE_MS = 2 * 60 * 60 * 1000;
+
+function loadLimits(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const problems = [];
+
+  const checkBurst = (where, burst) => {
+    if (!Number.isInteger(burst?.limit) || burst.limit < 1) problems.push(`${where}.limit must be a positive integer`);
+    if (!Number.isInteger(burst?.windowSeconds) || burst.windowSeconds < 1) problems.push(`${where}.windowSeconds must be a positive integer`);
+  };
+  const checkQuota = (where, quota, required) => {
+    if (quota?.burst !== undefined || required) checkBurst(`${where}.burst`, quota?.burst);
+    if ((quota?.monthly !== undefined || required) && !(Number.isInteger(quota?.monthly) && quota.monthly >= 0)) {
+      problems.push(`${where}.monthly must be a non-negative integer`);
+    }
+  };
+
+  for (const kind of LIMIT_KINDS) {
+    checkBurst(`ip.${kind}`, config.ip?.[kind]);
+    for (const tier of TIERS) checkQuota(`tiers.${tier}.${kind}`, config.tiers?.[tier]?.[kind], true);
+  }
+  for (const [school, tiers] of Object.entries(config.schools || {})) {
+    for (const [tier, kinds] of Object.entries(tiers)) {
+      if (!TIERS.includes(tier)) problems.push(`schools.${school}.${tier} is not a tier`);
+      for (const [kind, quota] of Object.entries(kinds || {})) {
+        if (!LIMIT_KINDS.includes(kind)) problems.push(`schools.${school}.${tier}.${kind} is not a limit kind`);
+        checkQuota(`schools.${school}.${tier}.${kind}`, quota, false);
+      }
+    }
+  }
+
+  if (problems.length) throw new Error(`rateLimits.json is invalid:\n  - ${problems.join("\n  - ")}`);
+  return config;
+}
+
+const monthOf = (date = new Date()) => date.toISOString().slice(0, 7);
+const nextMonth = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+const monthStart = (month) => `${month}-01T00:00:00.000Z`;
+
+export function createRateLimiter({ supabase, file = path.join(__dirname, "rateLimits.json") } = {}) {
+  const config = loadLimits(file);
+  const buckets = new Map();   // "<scope>:<kind>:<subject>" → { tokens, updated }
+  const monthly = new Map();   // "<month>:<kind>:<subject>" → { count, pending, seeding, used }, least recently used first
+
+  console.log(`🚦 Rate limits loaded (${TIERS.join(", ")}; ${Object.keys(config.schools || {}).length} school overrides)`);
+
+  function limitsFor(tier, kind, schoolId) {
+    const base = config.tiers[tier]?.[kind] || config.tiers.anonymous[kind];
+    const override = config.schools?.[schoolId]?.[tier]?.[kind] || {};
+    return { burst: override.burst || base.burst, monthly: override.monthly ?? base.monthly };
+  }
+
+  // Token bucket refilled continuously: `limit` per `windowSeconds`. Returns
+  // seconds until a token is free, or 0 when one was taken (or would be,
+  // with peek).
+  function takeToken(key, { limit, windowSeconds }, peek = false) {
+    const now = Date.now();
+    const rate = limit / (windowSeconds * 1000);
+    const bucket = buckets.get(key) || { tokens: limit, updated: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updated) * rate);
+    bucket.updated = now;
+
+    if (buckets.size >= MAX_BUCKETS && !buckets.has(key)) buckets.delete(buckets.keys().next().value);
+    buckets.delete(key);
+    buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) / rate / 1000);
+    if (!peek) bucket.tokens -= 1;
+    return 0;
+  }
+
+  // Chat messages logged this month before usage_counters had a row for the
+  // fan, saved as their starting count
+  async function seedFromMessageLogs(subject, month) {
+    const { count, error } = await supabase
+      .from('message_logs')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', subject)
+      .eq('role', 'user')
+      .gte('created_at', monthStart(month));
+    if (error) {
+      console.error("❌ Message log count error:", error.message);
+      return 0;
+    }
+    if (count) {
+      const { error: insertError } = await supabase
+        .from('usage_counters')
+        .upsert({ subject, kind: 'chat', month, count }, { onConflict: 'subject,kind,month', ignoreDuplicates: true });
+      if (insertError) console.error("❌ Usage counter seed error:", insertError.message);
+    }
+    return count || 0;
+  }
+
+  async function readCount(subject, kind, month) {
+    const { data, error } = await supabase
+      .from('usage_counters')
+      .select('count')
+      .eq('subject', subject)
+      .eq('kind', kind)
+      .eq('month', month)
+      .maybeSingle();
+    if (error) {
+      console.error("❌ Usage counter read error:", error.message);
+      return 0;
+    }
+    if (data) return data.count;
+    return kind === 'chat' ? seedFromMessageLogs(subject, month) : 0;
+  }
+
+  function evictCounters() {
+    if (monthly.size <= MAX_COUNTERS) return;
+    for (const [key, counter] of monthly) {
+      if (monthly.size <= MAX_COUNTERS) break;
+      if (counter.seeded && !counter.pending) monthly.delete(key);
+    }
+  }
+
+  async function monthlyCounter(subject, kind, month = monthOf()) {
+    const key = `${month}:${kind}:${subject}`;
+    let counter = monthly.get(key);
+    if (counter) {
+      monthly.delete(key);
+    } else {
+      counter = { key, subject, kind, month, count: 0, pending: 0, seeding: null, seeded: false };
+      counter.seeding = readCount(subject, kind, month).then(count => {
+        counter.count += count;
+        counter.seeded = true;
+      });
+    }
+    counter.used = Date.now();
+    monthly.set(key, counter);
+    evictCounters();
+    await counter.seeding;
+    return counter;
+  }
+
+  async function consume({ kind, tier, subject, ip, schoolId }) {
+    const limits = limitsFor(tier, kind, schoolId);
+
+    // Check everything before taking anything, so a request refused by one
+    // limit doesn't use up another
+    const ipKey = `ip:${kind}:${ip}`;
+    const burstKey = `burst:${kind}:${subject}`;
+    const ipWait = ip ? takeToken(ipKey, config.ip[kind], true) : 0;
+    if (ipWait) return { error: "Too many requests from this network — slow down a little", status: 429, retryAfter: ipWait, scope: "ip" };
+    const burstWait = takeToken(burstKey, limits.burst, true);
+    if (burstWait) return { error: "You're sending messages too quickly — try again in a moment", status: 429, retryAfter: burstWait, scope: "burst" };
+
+    const counter = await monthlyCounter(subject, kind);
+    const resetAt = nextMonth();
+    if (counter.count >= limits.monthly) {
+      return {
+        error: `Monthly ${kind} limit reached`,
+        status: 429,
+        retryAfter: Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+        scope: "monthly",
+        limit: limits.monthly,
+        resetAt: resetAt.toISOString()
+      };
+    }
+
+    if (ip) takeToken(ipKey, config.ip[kind]);
+    takeToken(burstKey, limits.burst);
+    counter.count++;
+    counter.pending++;
+    // Evicted by other traffic while this request waited: keep the increment
+    if (!monthly.has(counter.key)) monthly.set(counter.key, counter);
+
+    return { data: { tier, period: counter.month, limit: limits.monthly, used: counter.count, remaining: limits.monthly - counter.count, resetAt: resetAt.toISOString() } };
+  }
+
+  // Current month's standing without consuming anything
+  async function usage({ kind, tier, subject, schoolId }) {
+    const limits = limitsFor(tier, kind, schoolId);
+    const counter = await monthlyCounter(subject, kind);
+    return {
+      tier,
+      period: counter.month,
+      limit: limits.monthly,
+      used: counter.count,
+      remaining: Math.max(0, limits.monthly - counter.count),
+      resetAt: nextMonth().toISOString(),
+      burst: limits.burst
+    };
+  }
+
+  async function flush() {
+    const current = monthOf();
+    for (const [key, counter] of monthly) {
+      if (counter.pending) {
+        const by = counter.pending;
+        counter.pending = 0;
+        const { data, error } = await supabase.rpc('increment_usage', {
+          p_subject: counter.subject, p_kind: counter.kind, p_month: counter.month, p_by: by
+        });
+        if (error) {
+          console.error("❌ Usage counter flush error:", error.message);
+          counter.pending += by;
+          continue;
+        }
+        // Shared total, including other replicas' traffic
+        if (typeof data === "number") counter.count = Math.max(counter.count, data + counter.pending);
+      }
+      const idle = Date.now() - counter.used > COUNTER_IDLE_MS;
+      if ((counter.month !== current || idle) && !counter.pending) monthly.delete(key);
+    }
+  }
+
+  setInterval(() => flush().catch(err => console.error("❌ Usage flush error:", err.message)), FLUSH_MS).unref?.();
+
+  return { consume, usage, flush };
+}
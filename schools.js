@@ -1,21 +1,186 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { mcpCallTool } from "./mcpClient.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// ─── SCHOOLS CONFIG ───────────────────────────────────────────────────────────
+// schools.json is validated against schools.schema.json plus the rules a
+// schema can't express (unique ids, exactly one default). A bad file at
+// startup throws; a bad file on reload is rejected and the running config
+// stays in place. Reloads come from POST /admin/schools/reload or from the
+// file watcher (SCHOOLS_WATCH=off disables it).
+
+const SCHOOLS_PATH = path.join(__dirname, "schools.json");
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, "schools.schema.json"), "utf-8"));
+
 let SCHOOLS = [];
-try {
-  const schoolsPath = path.join(__dirname, "schools.json");
-  const raw = fs.readFileSync(schoolsPath, "utf-8");
-  const config = JSON.parse(raw);
-  SCHOOLS = config.schools || [];
-  console.log(`🏫 Loaded ${SCHOOLS.length} schools:`, SCHOOLS.map(s => s.displayName).join(", "));
-} catch (err) {
-  console.error("❌ Failed to load schools.json", err?.message || err);
+let loadedAt = null;
+const reloadListeners = new Set();
+
+// Just enough JSON Schema for schools.schema.json: type, required,
+// properties, additionalProperties, items, minItems, minLength, pattern,
+// enum, format: uri and local $refs.
+function schemaErrors(value, schema, at = "") {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node?.[key], SCHEMA);
+    return schemaErrors(value, { ...target, ...schema, $ref: undefined }, at);
+  }
+
+  const where = at || "(root)";
+  const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+  if (schema.type && schema.type !== actual && !(schema.type === "integer" && Number.isInteger(value))) {
+    return [`${where} must be ${schema.type === "array" || schema.type === "object" ? "an" : "a"} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where} must be one of ${schema.enum.join(", ")}`);
+
+  if (actual === "string") {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${where} cannot be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where} must match ${schema.pattern}`);
+    if (schema.format === "uri" && !/^https?:\/\/[^\s]+$/.test(value)) errors.push(`${where} must be an http(s) URL`);
+  }
+
+  if (actual === "array") {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${where} needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, `${at}[${i}]`)));
+  }
+
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at ? `${at}.` : ""}${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childAt = at ? `${at}.${key}` : key;
+      if (schema.properties?.[key]) errors.push(...schemaErrors(child, schema.properties[key], childAt));
+      else if (schema.additionalProperties === false) errors.push(`${childAt} is not a known field`);
+    }
+  }
+
+  return errors;
+}
+
+// config → { schools, errors, warnings }
+export function validateSchoolsConfig(config) {
+  const errors = schemaErrors(config, SCHEMA);
+  const warnings = [];
+  const schools = Array.isArray(config?.schools) ? config.schools : [];
+
+  const ids = schools.map(s => s?.id);
+  const dupes = [...new Set(ids.filter((id, i) => id && ids.indexOf(id) !== i))];
+  if (dupes.length) errors.push(`duplicate school ids: ${dupes.join(", ")}`);
+
+  const defaults = schools.filter(s => s?.isDefault === true).map(s => s.id);
+  if (defaults.length !== 1) {
+    errors.push(`exactly one school must set isDefault (found ${defaults.length ? defaults.join(", ") : "none"})`);
+  }
+
+  // Shared keywords are allowed, but only the first school in file order
+  // will ever be detected for them
+  const owners = new Map();
+  for (const school of schools) {
+    for (const keyword of school?.keywords || []) {
+      const key = String(keyword).toLowerCase();
+      if (owners.has(key) && owners.get(key) !== school.id) {
+        warnings.push(`keyword "${key}" is used by ${owners.get(key)} and ${school.id}; ${owners.get(key)} wins`);
+      } else {
+        owners.set(key, school.id);
+      }
+    }
+  }
+
+  return { schools, errors, warnings };
 }
 
+function readSchoolsFile() {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(SCHOOLS_PATH, "utf-8"));
+  } catch (err) {
+    return { schools: [], errors: [`schools.json could not be read: ${err.message}`], warnings: [] };
+  }
+  return validateSchoolsConfig(config);
+}
+
+function summarizeChanges(before, after) {
+  const oldById = new Map(before.map(s => [s.id, JSON.stringify(s)]));
+  const newIds = new Set(after.map(s => s.id));
+  return {
+    added: after.filter(s => !oldById.has(s.id)).map(s => s.id),
+    removed: before.filter(s => !newIds.has(s.id)).map(s => s.id),
+    changed: after.filter(s => oldById.has(s.id) && oldById.get(s.id) !== JSON.stringify(s)).map(s => s.id)
+  };
+}
+
+// Re-reads schools.json. Resolves to { data: { count, added, removed,
+// changed, warnings } } or { error, issues } with the old config kept.
+export function reloadSchools({ reason = "manual" } = {}) {
+  const { schools, errors, warnings } = readSchoolsFile();
+  if (errors.length) {
+    console.error(`❌ schools.json rejected (${reason}), keeping ${SCHOOLS.length} loaded schools:\n  - ${errors.join("\n  - ")}`);
+    return { error: "Invalid schools.json", issues: errors };
+  }
+
+  const changes = summarizeChanges(SCHOOLS, schools);
+  SCHOOLS = schools;
+  loadedAt = new Date();
+  for (const warning of warnings) console.warn(`⚠️ schools.json: ${warning}`);
+  console.log(`🏫 Loaded ${SCHOOLS.length} schools (${reason}):`, SCHOOLS.map(s => s.displayName).join(", "));
+
+  for (const listener of reloadListeners) {
+    try {
+      listener(SCHOOLS, changes);
+    } catch (err) {
+      console.error("❌ Schools reload listener error:", err.message);
+    }
+  }
+
+  return { data: { count: SCHOOLS.length, ...changes, warnings, loadedAt: loadedAt.toISOString() } };
+}
+
+// fn(schools, { added, removed, changed }) after every successful reload
+export function onSchoolsReload(fn) {
+  reloadListeners.add(fn);
+  return () => reloadListeners.delete(fn);
+}
+
+export function getSchoolsLoadedAt() {
+  return loadedAt;
+}
+
+// Fields safe to hand to the front end — no prompts or backend URLs
+export function publicSchool(school) {
+  const { id, name, displayName, mascotName, greeting, voice, sports, rival, conference, division, isDefault } = school;
+  return { id, name, displayName, mascotName, greeting, voice, sports, rival, conference, division, isDefault: Boolean(isDefault) };
+}
+
+// Watches the directory rather than the file: editors that save by
+// rename-over would otherwise orphan the watch. Saves often land in several
+// events, so wait for the file to settle before reloading.
+function watchSchoolsFile() {
+  let timer = null;
+  try {
+    const watcher = fs.watch(__dirname, (event, filename) => {
+      if (filename !== "schools.json") return;
+      clearTimeout(timer);
+      timer = setTimeout(() => reloadSchools({ reason: "file changed" }), 300);
+    });
+    watcher.unref?.();
+    console.log("👀 Watching schools.json for changes");
+  } catch (err) {
+    console.warn("⚠️ Could not watch schools.json:", err.message);
+  }
+}
+
+const initial = reloadSchools({ reason: "startup" });
+if (initial.error) {
+  throw new Error(`schools.json is invalid:\n  - ${initial.issues.join("\n  - ")}`);
+}
+if ((process.env.SCHOOLS_WATCH || "on").toLowerCase() !== "off") watchSchoolsFile();
+
 function linkifyUrls(text) {
   return text
     .replace(/\((https?:\/\/[^\s\)]+)\)/g, '$1') // Remove parens around URLs
@@ -49,6 +214,25 @@ export function getAllSchools() {
   return SCHOOLS;
 }
 
+// Canonical team name a data source (ESPN, CFBD, gymnastics) expects for this school.
+// Falls back to the full school name when schools.json has no override.
+export function getTeamName(school, source) {
+  return school?.teams?.[source] || school?.name || "Oklahoma";
+}
+
+// Regex matching any way a fan might refer to this school (keywords + team names).
+export function schoolPattern(school, flags = "i") {
+  const names = [
+    ...(school?.keywords || []),
+    ...Object.values(school?.teams || {})
+  ]
+    .map(n => n.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .sort((a, b) => b.length - a.length);
+
+  if (!names.length) return new RegExp("$^", flags);
+  return new RegExp(`\\b(${[...new Set(names)].join("|")})\\b`, flags);
+}
+
 export function parseSport(query) {
   const lowerQuery = query.toLowerCase();
   
@@ -101,7 +285,7 @@ export function parseToolName(query) {
   return "get_team_dashboard";
 }
 
-export async function fetchSchoolData(school, toolName, args, fetchJsonFn, extractMcpTextFn) {
+export async function fetchSchoolData(school, toolName, args) {
   if (!school.mcpUrl) {
     return { error: `${school.displayName} MCP server not configured` };
   }
@@ -110,13 +294,12 @@ export async function fetchSchoolData(school, toolName, args, fetchJsonFn, extra
   console.log(`🔧 Tool: ${toolName}`, args);
   console.log(`🔗 URL: ${school.mcpUrl}`);
   
-  const payload = { name: toolName, arguments: args };
-  const result = await fetchJsonFn(school.mcpUrl, payload, 30000, "tools/call");
+  const result = await mcpCallTool(school.mcpUrl, toolName, args, 30000);
   
   console.log(`📊 ${school.displayName} Result - ok: ${result.ok}, status: ${result.status}`);
   
-  if (result.ok && !result.json?.error) {
-    let responseText = extractMcpTextFn(result.json) || result.text || "";
+  if (result.ok) {
+    let responseText = result.text || "";
     
     // DEBUG: Show what we're working with
     console.log(`🔍 BEFORE linkifyUrls:`, responseText.substring(0, 500));
@@ -136,8 +319,8 @@ export async function fetchSchoolData(school, toolName, args, fetchJsonFn, extra
     console.log(`✅ ${school.displayName} Response:`, responseText.substring(0, 200));
     return { data: responseText };
   } else {
-    const errorMsg = result.json?.error?.message || result.text || `${school.displayName} request failed`;
+    const errorMsg = result.error || `${school.displayName} request failed`;
     console.error(`❌ ${school.displayName} Error:`, errorMsg);
-    return { error: errorMsg };
+    return { error: errorMsg, userMessage: result.userMessage };
   }
 }
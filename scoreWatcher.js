@@ -0,0 +1,277 @@
+import { gameStartLabel } from "./pushScheduler.js";
+
+// ─── LIVE SCORE WATCHER ───────────────────────────────────────────────────────
+// While one of a school's games is inside its scheduled window, polls the
+// ESPN score for it and pushes kickoff, score changes, halftime and final on
+// the "scores" topic. Game windows come from the schedule (refreshed hourly),
+// so nothing is polled on days without a game.
+//
+// What's already been alerted is persisted per school + sport, so a restart
+// mid-game neither resends old alerts nor misses the change that happened
+// while we were down (the stored score is compared against the live one):
+//
+//   create table score_watch_state (
+//     key            text primary key,       -- "<school>:<sport>"
+//     school_id      text not null,
+//     sport          text not null,
+//     game_id        text,
+//     phase          text,                   -- pre | in | halftime | final
+//     team_score     int,
+//     opponent_score int,
+//     alerted        text[] not null default '{}',
+//     updated_at     timestamptz not null default now()
+//   );
+//
+// State is written before the push goes out: a crash in between costs one
+// alert rather than sending it twice.
+
+const DEFAULT_POLL_MS = 30_000;
+const SCHEDULE_REFRESH_MS = 60 * 60 * 1000;
+const WINDOW_BEFORE_MS = 15 * 60 * 1000;
+const WINDOW_AFTER_MS = { football: 5 * 60 * 60 * 1000, baseball: 5 * 60 * 60 * 1000, softball: 4 * 60 * 60 * 1000 };
+const DEFAULT_WINDOW_AFTER_MS = 3.5 * 60 * 60 * 1000;
+
+// Every basket would be an alert, so high-scoring sports only get
+// start / halftime / final
+const SCORE_ALERT_SPORTS = ["football", "baseball", "softball", "womens-soccer", "mens-soccer"];
+const HALFTIME_SPORTS = /football|basketball|soccer/;
+
+const SPORT_EMOJI = { football: "🏈", baseball: "⚾", softball: "🥎", "womens-volleyball": "🏐" };
+const sportEmoji = (sport) => SPORT_EMOJI[sport] || (/basketball/.test(sport) ? "🏀" : /soccer/.test(sport) ? "⚽" : "🏟️");
+
+/* ------------------------------------------------------------------ */
+/*                          ESPN SCORE PARSING                         */
+/* ------------------------------------------------------------------ */
+
+function phaseOf(status) {
+  const state = (status?.type?.state || status?.state || status || "").toString().toLowerCase();
+  const detail = (status?.type?.description || status?.type?.detail || status?.detail || status?.description || "").toLowerCase();
+  // "Halftime" only — "1st Half" / "2nd Half" are play in progress
+  if (/\bhalf[ -]?time\b/.test(detail) || state === "halftime" || status?.type?.name === "STATUS_HALFTIME") return "halftime";
+  if (status?.type?.completed || state === "post" || /final/.test(state) || /final/.test(detail)) return "final";
+  if (state === "in" || /progress|live/.test(state) || /progress|\b(1st|2nd) half\b/.test(detail)) return "in";
+  return "pre";
+}
+
+// Structured get_score output → { gameId, phase, teamScore, opponentScore,
+// opponent, home } from the school's side, or null when the shape isn't
+// recognised. Handles ESPN event/competition objects and flat
+// { homeTeam, awayTeam, homeScore, awayScore } replies.
+export function parseScore(data, teamName) {
+  const game = data?.game || data?.event || (Array.isArray(data?.events) ? data.events[0] : null) || data;
+  if (!game || typeof game !== "object") return null;
+
+  const competition = game.competitions?.[0] || game;
+  const status = competition.status || game.status;
+  const team = teamName.toLowerCase();
+  const isUs = (name) => !!name && (name.toLowerCase().includes(team) || team.includes(name.toLowerCase()));
+
+  let home, away;
+  if (Array.isArray(competition.competitors)) {
+    const side = (homeAway) => competition.competitors.find(c => c.homeAway === homeAway);
+    const named = (c) => c && { name: c.team?.displayName || c.team?.name || c.name, score: Number(c.score?.value ?? c.score) };
+    home = named(side("home"));
+    away = named(side("away"));
+  } else if (game.homeTeam || game.awayTeam) {
+    home = { name: game.homeTeam?.name || game.homeTeam, score: Number(game.homeScore ?? game.homeTeam?.score) };
+    away = { name: game.awayTeam?.name || game.awayTeam, score: Number(game.awayScore ?? game.awayTeam?.score) };
+  }
+  if (!home || !away) return null;
+
+  const weAreHome = isUs(home.name) || !isUs(away.name);
+  const us = weAreHome ? home : away;
+  const them = weAreHome ? away : home;
+  const phase = phaseOf(status);
+
+  return {
+    gameId:        String(game.id ?? competition.id ?? `${home.name}-${away.name}`),
+    phase,
+    teamScore:     Number.isFinite(us.score) ? us.score : 0,
+    opponentScore: Number.isFinite(them.score) ? them.score : 0,
+    opponent:      them.name || null,
+    home:          weAreHome
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                             ALERT TEXT                              */
+/* ------------------------------------------------------------------ */
+
+function alertFor(event, school, sport, score, previous) {
+  const us = school.displayName;
+  const them = score.opponent || "the opponent";
+  const line = `${us} ${score.teamScore}, ${them} ${score.opponentScore}`;
+  const emoji = sportEmoji(sport);
+
+  switch (event) {
+    case "start":
+      return { title: `${emoji} ${gameStartLabel(sport)}!`, body: `${us} ${score.home ? "vs" : "at"} ${them} is underway. Tune in to ${us} Radio on XSEN! 🎙️` };
+    case "halftime":
+      return { title: `${emoji} Halftime`, body: line };
+    case "final": {
+      const result = score.teamScore > score.opponentScore ? "WIN" : score.teamScore < score.opponentScore ? "Loss" : "Tie";
+      return { title: `${emoji} Final — ${us} ${result}${result === "WIN" ? "! 🎉" : ""}`, body: line };
+    }
+    default: {
+      const weScored = score.teamScore > (previous?.team_score ?? 0);
+      return { title: weScored ? `🚨 ${us} score!` : `${them} scores`, body: line };
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*                               WATCHER                               */
+/* ------------------------------------------------------------------ */
+
+export function createScoreWatcher({
+  supabase,
+  schools,
+  seasonStatus,
+  fetchGames,
+  fetchScore,
+  send,
+  table = "score_watch_state",
+  pollMs = DEFAULT_POLL_MS
+} = {}) {
+  const state = new Map();      // key → persisted row
+  let windows = [];             // [{ school, sport, opensAt, closesAt }]
+  let polling = false;
+  let loaded = false;
+
+  async function loadState() {
+    const { data, error } = await supabase.from(table).select('*');
+    if (error) {
+      console.error("❌ Score watcher state load error:", error.message);
+      return;
+    }
+    for (const row of data || []) state.set(row.key, row);
+    loaded = true;
+    console.log(`🏟️ Score watcher restored ${state.size} game states`);
+  }
+
+  async function saveState(row) {
+    const { error } = await supabase.from(table).upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+    if (error) throw new Error(error.message);
+    state.set(row.key, row);
+  }
+
+  async function refreshWindows() {
+    const now = Date.now();
+    const next = [];
+
+    for (const school of schools()) {
+      for (const sport of school.sports || []) {
+        const status = seasonStatus(school, sport);
+        if (!status || status.phase === "offseason") continue;
+
+        try {
+          for (const game of await fetchGames(school, sport)) {
+            const startsAt = Date.parse(game.startsAt);
+            const closesAt = startsAt + (WINDOW_AFTER_MS[status.sport] || DEFAULT_WINDOW_AFTER_MS);
+            if (closesAt < now || startsAt - now > SCHEDULE_REFRESH_MS * 2) continue;
+            next.push({ school, sport: status.sport, opensAt: startsAt - WINDOW_BEFORE_MS, closesAt });
+          }
+        } catch (err) {
+          console.error(`❌ Score watcher schedule fetch failed for ${school.id}/${sport}:`, err.message);
+        }
+      }
+    }
+
+    windows = next;
+    if (windows.length) console.log(`🏟️ Score watcher: ${windows.length} game window(s) in the next 2 hours`);
+  }
+
+  // Events the new score implies that haven't been alerted for this game
+  function eventsFor(score, previous, sport) {
+    const alerted = previous?.game_id === score.gameId ? previous.alerted || [] : [];
+    const scoreKey = `score:${score.teamScore}-${score.opponentScore}`;
+    const events = [];
+
+    if (score.phase !== "pre" && !alerted.includes("start")) events.push("start");
+    if (SCORE_ALERT_SPORTS.includes(sport) && score.phase !== "final" && score.teamScore + score.opponentScore > 0) {
+      const prevTotal = previous?.game_id === score.gameId ? (previous.team_score ?? 0) + (previous.opponent_score ?? 0) : 0;
+      if (score.teamScore + score.opponentScore !== prevTotal && !alerted.includes(scoreKey)) events.push(scoreKey);
+    }
+    if (score.phase === "halftime" && HALFTIME_SPORTS.test(sport) && !alerted.includes("halftime")) events.push("halftime");
+    if (score.phase === "final" && !alerted.includes("final")) events.push("final");
+
+    return { events, alerted };
+  }
+
+  async function check(window) {
+    const { school, sport } = window;
+    const key = `${school.id}:${sport}`;
+    const score = await fetchScore(school, sport);
+    if (!score) return;
+
+    const previous = state.get(key);
+    if (previous?.game_id === score.gameId && previous.phase === "final") return;
+
+    const { events, alerted } = eventsFor(score, previous, sport);
+    if (!events.length && previous?.game_id === score.gameId && previous.phase === score.phase) return;
+
+    await saveState({
+      key,
+      school_id:      school.id,
+      sport,
+      game_id:        score.gameId,
+      phase:          score.phase,
+      team_score:     score.teamScore,
+      opponent_score: score.opponentScore,
+      // Score keys only need to outlive the next few polls
+      alerted:        [...alerted, ...events].filter((e, i, all) => !e.startsWith("score:") || i >= all.length - 10)
+    });
+
+    // Kickoff and a score change in the same poll (a late restart): the
+    // score alert says enough
+    const toSend = events.length > 1 ? events.filter(e => e !== "start") : events;
+    for (const event of toSend) {
+      const type = event.startsWith("score:") ? "score" : event;
+      console.log(`🏟️ ${key} ${type}: ${score.teamScore}-${score.opponentScore}`);
+      await send(school.id, {
+        ...alertFor(type, school, sport, score, previous?.game_id === score.gameId ? previous : null),
+        icon: "/icons/icon-192x192.png",
+        tag:  `score-${school.id}-${score.gameId}`,
+        url:  `https://xsen.fun/${school.id}/app.html`
+      }, { topic: "scores", sport });
+    }
+
+    // Done with this game; stop polling it
+    if (score.phase === "final") window.closesAt = 0;
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      // Polling without the saved state would resend everything
+      if (!loaded) await loadState();
+      if (!loaded) return;
+
+      const now = Date.now();
+      for (const window of windows) {
+        if (now < window.opensAt || now > window.closesAt) continue;
+        try {
+          await check(window);
+        } catch (err) {
+          console.error(`❌ Score watcher ${window.school.id}/${window.sport}:`, err.message);
+        }
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    poll,
+    refreshWindows,
+
+    async start() {
+      await loadState();
+      await refreshWindows();
+      setInterval(() => refreshWindows().catch(err => console.error("❌ Score watcher refresh error:", err.message)), SCHEDULE_REFRESH_MS).unref?.();
+      setInterval(poll, pollMs).unref?.();
+      console.log(`🏟️ Score watcher started (every ${Math.round(pollMs / 1000)}s during game windows)`);
+    }
+  };
+}
@@ -0,0 +1,231 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ─── SEASON CALENDAR ──────────────────────────────────────────────────────────
+// Where each sport is in its season for a given school and date, so prompts,
+// default query years and schedule notes roll over without code edits.
+//
+// seasons.json holds one template per sport: the MM-DD each phase starts
+// (preseason → regular → postseason → offseason), rolling into the next
+// calendar year whenever a date is earlier than the one before it. Division
+// entries ("D2") and school entries override individual dates, in that order.
+//
+// seasonYear says how data sources number a season that spans two calendar
+// years: "start" (football 2025 = fall 2025) or "end" (basketball 2026 =
+// 2025-26).
+
+const PHASES = ["preseason", "regular", "postseason", "offseason"];
+const MM_DD = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names used around the codebase → calendar keys
+const SPORT_ALIASES = {
+  basketball: "mens-basketball",
+  womens_basketball: "womens-basketball",
+  volleyball: "womens-volleyball",
+  soccer: "womens-soccer",
+  gymnastics: "womens-gymnastics"
+};
+
+function loadCalendar() {
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, "seasons.json"), "utf-8"));
+  const problems = [];
+
+  const checkDates = (where, entry, required) => {
+    for (const field of [...PHASES, "scheduleRelease"]) {
+      if (entry[field] === undefined) {
+        if (required) problems.push(`${where}.${field} is required`);
+      } else if (!MM_DD.test(entry[field])) {
+        problems.push(`${where}.${field} must be MM-DD`);
+      }
+    }
+  };
+
+  for (const [sport, t] of Object.entries(config.sports || {})) {
+    checkDates(`sports.${sport}`, t, true);
+    if (!["start", "end"].includes(t.seasonYear)) problems.push(`sports.${sport}.seasonYear must be "start" or "end"`);
+  }
+  for (const scope of ["divisions", "schools"]) {
+    for (const [key, sports] of Object.entries(config[scope] || {})) {
+      for (const [sport, entry] of Object.entries(sports)) {
+        if (!config.sports?.[sport]) problems.push(`${scope}.${key}.${sport} is not a known sport`);
+        checkDates(`${scope}.${key}.${sport}`, entry, false);
+      }
+    }
+  }
+
+  if (problems.length) throw new Error(`seasons.json is invalid:\n  - ${problems.join("\n  - ")}`);
+  console.log(`📅 Season calendar: ${Object.keys(config.sports).length} sports`);
+  return config;
+}
+
+const CALENDAR = loadCalendar();
+
+export function sportKey(sport) {
+  if (!sport) return null;
+  const key = sport.toLowerCase();
+  return SPORT_ALIASES[key] || key;
+}
+
+// Template with division and school overrides applied, or null
+function templateFor(school, sport) {
+  const key = sportKey(sport);
+  const base = CALENDAR.sports[key];
+  if (!base) return null;
+  return {
+    key,
+    ...base,
+    ...(CALENDAR.divisions?.[school?.division]?.[key] || {}),
+    ...(CALENDAR.schools?.[school?.id]?.[key] || {})
+  };
+}
+
+function dateIn(year, mmdd) {
+  const [month, day] = mmdd.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Phase start dates for the season whose preseason opens in `year`
+function boundaries(t, year) {
+  const dates = {};
+  let y = year;
+  let previous = null;
+  for (const phase of PHASES) {
+    if (previous && t[phase] < previous) y++;
+    dates[phase] = dateIn(y, t[phase]);
+    previous = t[phase];
+  }
+  dates.nextPreseason = dateIn(year + 1, t.preseason);
+  return dates;
+}
+
+function describeSeason(t, year) {
+  const b = boundaries(t, year);
+  const startYear = b.regular.getUTCFullYear();
+  const endYear = b.postseason.getUTCFullYear();
+  return {
+    year: t.seasonYear === "end" ? endYear : startYear,
+    label: startYear === endYear ? String(startYear) : `${startYear}-${String(endYear).slice(2)}`,
+    dates: b
+  };
+}
+
+// Season a date belongs to, named by the year its preseason opened. The
+// offseason counts toward the season that just ended.
+function openYearFor(t, date) {
+  const year = date.getUTCFullYear();
+  return date >= dateIn(year, t.preseason) ? year : year - 1;
+}
+
+function iso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function formatSeasonDate(date) {
+  return date.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+// Where `sport` is for this school on `date`, or null for sports the calendar
+// doesn't know:
+//   { sport, label, phase, season, seasonLabel, phaseEnds, regular, postseason,
+//     lastCompleted: { season, label }, next: { season, label, startsOn },
+//     scheduleReleased }
+export function seasonStatus(school, sport, date = new Date()) {
+  const t = templateFor(school, sport);
+  if (!t) return null;
+
+  const openYear = openYearFor(t, date);
+  const current = describeSeason(t, openYear);
+  const previous = describeSeason(t, openYear - 1);
+  const next = describeSeason(t, openYear + 1);
+  const b = current.dates;
+
+  const phase = [...PHASES].reverse().find(p => date >= b[p]);
+  const phaseEnds = { preseason: b.regular, regular: b.postseason, postseason: b.offseason, offseason: b.nextPreseason }[phase];
+  const completed = phase === "offseason" ? current : previous;
+
+  // The upcoming season's schedule comes out on scheduleRelease after its
+  // previous season has wrapped up
+  const upcoming = phase === "offseason" ? next : current;
+  let release = dateIn(completed.dates.offseason.getUTCFullYear(), t.scheduleRelease);
+  if (release < completed.dates.offseason) release = dateIn(release.getUTCFullYear() + 1, t.scheduleRelease);
+
+  return {
+    sport: t.key,
+    label: t.label,
+    phase,
+    season: current.year,
+    seasonLabel: current.label,
+    phaseEnds: iso(new Date(phaseEnds.getTime() - DAY_MS)),
+    regular: { start: iso(b.regular), end: iso(new Date(b.postseason.getTime() - DAY_MS)) },
+    postseason: { start: iso(b.postseason), end: iso(new Date(b.offseason.getTime() - DAY_MS)) },
+    lastCompleted: { season: completed.year, label: completed.label },
+    next: { season: upcoming.year, label: upcoming.label, startsOn: iso(upcoming.dates.regular) },
+    scheduleReleased: date >= release
+  };
+}
+
+// Season a data query should default to: the one being played, or the last
+// completed one when the next hasn't started
+export function defaultSeasonYear(school, sport, date = new Date()) {
+  const status = seasonStatus(school, sport, date);
+  if (!status) return date.getUTCFullYear();
+  return status.phase === "preseason" ? status.lastCompleted.season : status.season;
+}
+
+// { year, month } for month-based schedule lookups: this month while games
+// are on, otherwise the last weeks of the most recent regular season
+export function scheduleMonth(school, sport, date = new Date()) {
+  const status = seasonStatus(school, sport, date);
+  const pad = (m) => String(m).padStart(2, "0");
+  if (!status || status.phase === "regular" || status.phase === "postseason") {
+    return { year: String(date.getUTCFullYear()), month: pad(date.getUTCMonth() + 1) };
+  }
+
+  const t = templateFor(school, sport);
+  const openYear = openYearFor(t, date) - (status.phase === "preseason" ? 1 : 0);
+  const lateSeason = new Date(describeSeason(t, openYear).dates.postseason.getTime() - 14 * DAY_MS);
+  return { year: String(lateSeason.getUTCFullYear()), month: pad(lateSeason.getUTCMonth() + 1) };
+}
+
+// Appended to schedule tool output when it can only show a finished season
+export function scheduleNote(school, sport, date = new Date()) {
+  const status = seasonStatus(school, sport, date);
+  if (!status) return null;
+
+  if (status.phase === "offseason") {
+    return status.scheduleReleased
+      ? `Note: This is the completed ${status.seasonLabel} season schedule. The ${status.next.label} season starts ${formatSeasonDate(new Date(status.next.startsOn))}.`
+      : `Note: This is the completed ${status.seasonLabel} season schedule. The ${status.next.label} schedule has not been released yet.`;
+  }
+  if (status.phase === "preseason") {
+    return `Note: This is the completed ${status.lastCompleted.label} season schedule. The ${status.seasonLabel} season starts ${formatSeasonDate(new Date(status.regular.start))}.`;
+  }
+  return null;
+}
+
+// One system-prompt line per sport the school plays
+export function seasonPromptLines(school, date = new Date()) {
+  const keys = [...new Set((school?.sports || ["football"]).map(sportKey))];
+
+  return keys
+    .map(key => seasonStatus(school, key, date))
+    .filter(Boolean)
+    .map(s => {
+      const starts = formatSeasonDate(new Date(s.next.startsOn));
+      switch (s.phase) {
+        case "offseason":
+          return `- ${s.label}: the ${s.seasonLabel} season is COMPLETE. There are no upcoming games until the ${s.next.label} season starts around ${starts}. When asked about upcoming games, present the completed ${s.seasonLabel} schedule and say the ${s.next.label} schedule ${s.scheduleReleased ? "may be available — check with a tool" : "is not yet available"}.`;
+        case "preseason":
+          return `- ${s.label}: preseason for the ${s.seasonLabel} season, which starts around ${starts}. The most recent completed season is ${s.lastCompleted.label}.`;
+        case "regular":
+          return `- ${s.label}: the ${s.seasonLabel} season is IN PROGRESS (regular season through about ${formatSeasonDate(new Date(s.regular.end))}). Use tools for results and upcoming games.`;
+        default:
+          return `- ${s.label}: the ${s.seasonLabel} season is in the POSTSEASON (through about ${formatSeasonDate(new Date(s.postseason.end))}). Use tools for results and upcoming games.`;
+      }
+    });
+}
@@ -0,0 +1,161 @@
+// ─── SESSION STORE ────────────────────────────────────────────────────────────
+// Chat history + trivia state per session. Every store exposes the same async
+// interface so /chat doesn't care where sessions live:
+//
+//   get(id)          → session object or null (expired sessions read as null)
+//   set(id, session) → persist the session and refresh its TTL
+//   delete(id)
+//   prune()          → drop expired sessions and enforce the size cap
+//
+// SESSION_STORE=supabase keeps sessions in the `chat_sessions` table so they
+// survive restarts and are shared across replicas:
+//
+//   create table chat_sessions (
+//     id          text primary key,
+//     data        jsonb not null,
+//     expires_at  timestamptz not null,
+//     updated_at  timestamptz not null default now()
+//   );
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 10000;
+
+export function createMemorySessionStore({ ttlMs = DEFAULT_TTL_MS, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+  // Map keeps insertion order — re-inserting on every write makes the first
+  // key the least recently used one, which is what the size cap evicts.
+  const entries = new Map();
+
+  function evictOverflow() {
+    while (entries.size > maxSessions) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    kind: "memory",
+
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        return null;
+      }
+      return entry.session;
+    },
+
+    async set(id, session) {
+      entries.delete(id);
+      entries.set(id, { session, expiresAt: Date.now() + ttlMs });
+      evictOverflow();
+    },
+
+    async delete(id) {
+      entries.delete(id);
+    },
+
+    async prune() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      evictOverflow();
+      return removed;
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+export function createSupabaseSessionStore(supabase, { ttlMs = DEFAULT_TTL_MS, maxSessions = DEFAULT_MAX_SESSIONS, table = "chat_sessions" } = {}) {
+  return {
+    kind: "supabase",
+
+    async get(id) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('data, expires_at')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || new Date(data.expires_at) <= new Date()) return null;
+      return data.data;
+    },
+
+    async set(id, session) {
+      const now = Date.now();
+      const { error } = await supabase
+        .from(table)
+        .upsert({
+          id,
+          data:       session,
+          expires_at: new Date(now + ttlMs).toISOString(),
+          updated_at: new Date(now).toISOString()
+        }, { onConflict: 'id' });
+
+      if (error) throw error;
+    },
+
+    async delete(id) {
+      const { error } = await supabase.from(table).delete().eq('id', id);
+      if (error) throw error;
+    },
+
+    async prune() {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .lte('expires_at', new Date().toISOString());
+      if (error) throw error;
+
+      const { count } = await supabase
+        .from(table)
+        .select('*', { count: 'exact', head: true });
+
+      if (count > maxSessions) {
+        const { data: oldest } = await supabase
+          .from(table)
+          .select('id')
+          .order('updated_at', { ascending: true })
+          .limit(count - maxSessions);
+
+        if (oldest?.length) {
+          await supabase.from(table).delete().in('id', oldest.map(r => r.id));
+        }
+      }
+    }
+  };
+}
+
+// Positive number from env, or the fallback (with a warning when the value
+// was set but unusable — a NaN TTL would mean sessions never expire)
+function positiveEnv(env, name, fallback) {
+  if (!env[name]) return fallback;
+  const value = Number(env[name]);
+  if (Number.isFinite(value) && value > 0) return value;
+  console.warn(`⚠️ ${name}="${env[name]}" is not a positive number — using ${fallback}`);
+  return fallback;
+}
+
+// Picks the store from SESSION_STORE / SESSION_TTL_HOURS / SESSION_MAX.
+export function createSessionStore(supabase, env = process.env) {
+  const options = {
+    ttlMs: positiveEnv(env, "SESSION_TTL_HOURS", DEFAULT_TTL_MS / 3600000) * 60 * 60 * 1000,
+    maxSessions: positiveEnv(env, "SESSION_MAX", DEFAULT_MAX_SESSIONS)
+  };
+
+  if ((env.SESSION_STORE || "").toLowerCase() === "supabase") {
+    console.log(`🗄️ Session store: supabase (ttl ${options.ttlMs / 3600000}h, max ${options.maxSessions})`);
+    return createSupabaseSessionStore(supabase, options);
+  }
+
+  console.log(`🗄️ Session store: memory (ttl ${options.ttlMs / 3600000}h, max ${options.maxSessions})`);
+  return createMemorySessionStore(options);
+}
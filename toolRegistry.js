@@ -0,0 +1,120 @@
+// ─── DYNAMIC MCP TOOL REGISTRY ────────────────────────────────────────────────
+// Opt-in alternative to the hand-written tool list + regex routing. Every
+// configured MCP server is asked for tools/list at startup and on an interval;
+// each tool is offered to the model as <namespace>__<tool> with the server's
+// own inputSchema, and calls are dispatched straight to tools/call.
+//
+// The "school" namespace is special: it always points at the MCP server of the
+// school the fan is chatting with, so school__get_depth_chart means "this
+// school's depth chart" whatever the school.
+
+const SEPARATOR = "__";
+const MAX_OPENAI_TOOLS = 128;
+
+function toFunctionName(namespace, toolName) {
+  return `${namespace}${SEPARATOR}${toolName}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+function toParameters(inputSchema) {
+  if (inputSchema && inputSchema.type === "object") {
+    return { properties: {}, ...inputSchema };
+  }
+  return { type: "object", properties: {} };
+}
+
+export function createToolRegistry({
+  servers = {},
+  schools = () => [],
+  listTools,
+  refreshMs = 10 * 60_000
+} = {}) {
+  // url → [{ name, description, inputSchema }]
+  const toolsByUrl = new Map();
+  let lastRefresh = null;
+  let timer = null;
+
+  function urlsToScan() {
+    const urls = new Set(Object.values(servers).map(s => s.url).filter(Boolean));
+    for (const school of schools()) {
+      if (school.mcpUrl) urls.add(school.mcpUrl);
+    }
+    return [...urls];
+  }
+
+  async function refresh() {
+    const urls = urlsToScan();
+    await Promise.all(urls.map(async (url) => {
+      const tools = await listTools(url);
+      // Keep the last good list when a server is briefly unreachable
+      if (tools.length || !toolsByUrl.has(url)) toolsByUrl.set(url, tools);
+    }));
+    lastRefresh = new Date();
+    const total = [...toolsByUrl.values()].reduce((n, t) => n + t.length, 0);
+    console.log(`🧰 Tool registry refreshed: ${total} tools from ${urls.length} MCP servers`);
+  }
+
+  // [namespace, url, label] for the servers visible to a given school
+  function namespacesFor(school) {
+    const entries = Object.entries(servers)
+      .filter(([, s]) => s.url)
+      .map(([ns, s]) => [ns, s.url, s.label]);
+    if (school?.mcpUrl) {
+      entries.push(["school", school.mcpUrl, `${school.displayName} official athletics`]);
+    }
+    return entries;
+  }
+
+  return {
+    refresh,
+
+    start() {
+      refresh().catch(err => console.error("❌ Tool registry refresh error:", err.message));
+      timer = setInterval(() => {
+        refresh().catch(err => console.error("❌ Tool registry refresh error:", err.message));
+      }, refreshMs);
+      timer.unref?.();
+    },
+
+    // OpenAI function definitions for one chat turn
+    openAITools(school) {
+      const defs = [];
+      for (const [namespace, url, label] of namespacesFor(school)) {
+        for (const tool of toolsByUrl.get(url) || []) {
+          defs.push({
+            type: "function",
+            function: {
+              name: toFunctionName(namespace, tool.name),
+              description: `[${label}] ${tool.description || tool.name}`.slice(0, 1024),
+              parameters: toParameters(tool.inputSchema)
+            }
+          });
+        }
+      }
+      return defs.slice(0, MAX_OPENAI_TOOLS);
+    },
+
+    // Namespaced function name → { url, toolName, namespace } or null
+    resolve(functionName, school) {
+      if (!functionName.includes(SEPARATOR)) return null;
+      for (const [namespace, url] of namespacesFor(school)) {
+        const tool = (toolsByUrl.get(url) || []).find(t => toFunctionName(namespace, t.name) === functionName);
+        if (tool) return { namespace, url, toolName: tool.name };
+      }
+      return null;
+    },
+
+    // Prompt lines describing each namespace
+    describe(school) {
+      return namespacesFor(school)
+        .filter(([, url]) => (toolsByUrl.get(url) || []).length)
+        .map(([namespace, , label]) => `- ${namespace}${SEPARATOR}*: ${label}`);
+    },
+
+    snapshot() {
+      return {
+        lastRefresh: lastRefresh?.toISOString() || null,
+        servers: [...toolsByUrl.entries()].map(([url, tools]) => ({ url, tools: tools.map(t => t.name) }))
+      };
+    }
+  };
+}
@@ -0,0 +1,489 @@
+const LETTERS = ["A", "B", "C", "D"];
+
+/* ------------------------------------------------------------------ */
+/*                         MULTIPLE CHOICE                             */
+/* ------------------------------------------------------------------ */
+
+export function shuffle(arr) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+function sanitize(s) {
+  return (s ?? "").toString().trim();
+}
+
+export function normalizeAnswer(s) {
+  return sanitize(s).replace(/\s+/g, " ").toLowerCase();
+}
+
+export function buildMCQ(q, TRIVIA) {
+  const correct = sanitize(q?.answer);
+  const correctNorm = normalizeAnswer(correct);
+
+  if (Array.isArray(q?.wrongAnswers) && q.wrongAnswers.length >= 3) {
+    const wrongAnswers = q.wrongAnswers.slice(0, 3).map(a => sanitize(a));
+    const options = shuffle([correct, ...wrongAnswers]);
+    
+    return {
+      question: sanitize(q?.question),
+      options,
+      correctIndex: options.findIndex(o => normalizeAnswer(o) === correctNorm),
+      explanation: sanitize(q?.explanation) || correct
+    };
+  }
+
+  const allOtherAnswers = TRIVIA
+    .map(t => sanitize(t?.answer))
+    .filter(a => a && normalizeAnswer(a) !== correctNorm);
+
+  const plausible = allOtherAnswers.filter(a => {
+    const lenOK = a.length >= 3 && Math.abs(a.length - correct.length) <= 18;
+    const notSame = normalizeAnswer(a) !== correctNorm;
+    return lenOK && notSame;
+  });
+
+  const pool1 = shuffle(plausible);
+  const pool2 = shuffle(allOtherAnswers);
+
+  const wrong = [];
+  const used = new Set([correctNorm]);
+
+  function tryAddFrom(pool) {
+    for (const a of pool) {
+      const n = normalizeAnswer(a);
+      if (!used.has(n)) {
+        used.add(n);
+        wrong.push(a);
+      }
+      if (wrong.length >= 3) break;
+    }
+  }
+
+  tryAddFrom(pool1);
+  if (wrong.length < 3) tryAddFrom(pool2);
+
+  const options = shuffle([correct, ...wrong]).slice(0, 4);
+
+  return {
+    question: sanitize(q?.question),
+    options,
+    correctIndex: options.findIndex(o => normalizeAnswer(o) === correctNorm),
+    explanation: sanitize(q?.explanation) || correct
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                    DIFFICULTY / CATEGORY / SPORT                    */
+/* ------------------------------------------------------------------ */
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Questions don't carry a sport field yet, so it's inferred from the text.
+// Specific sports come first — "College World Series" is softball or
+// baseball, never football.
+const SPORT_PATTERNS = [
+  ["softball",   /softball|wcws/i],
+  ["baseball",   /baseball|home run|pitcher|inning|college world series/i],
+  ["gymnastics", /gymnast/i],
+  ["wrestling",  /wrestl/i],
+  ["volleyball", /volleyball/i],
+  ["soccer",     /soccer/i],
+  ["basketball", /basketball|hoops|final four|march madness|\bnba\b|dunk/i],
+  ["golf",       /golf/i],
+  ["tennis",     /tennis/i],
+  ["track",      /track|cross country/i],
+  ["football",   /football|heisman|bowl|quarterback|\bqb\b|touchdown|rush|passing|receiv|red river|bedlam|linebacker|field goal|\bnfl\b/i]
+];
+
+export function questionSport(q) {
+  if (q?.sport) return q.sport.toLowerCase();
+  const text = `${q?.question || ""} ${q?.answer || ""}`;
+  return SPORT_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || "general";
+}
+
+// "mens-basketball", "Women's Hoops" → "basketball"
+export function normalizeSport(sport) {
+  if (!sport) return null;
+  const match = SPORT_PATTERNS.find(([name, pattern]) => sport.toLowerCase().includes(name) || pattern.test(sport));
+  return match ? match[0] : sport.toLowerCase();
+}
+
+const RELAX_ORDER = ["difficulty", "category", "sport"];
+
+// Applies difficulty/category/sport filters. When that leaves fewer than
+// `minimum` questions, filters are dropped one at a time (difficulty first,
+// sport last) until the pool is big enough. Returns the pool plus which
+// filters held and which were relaxed so the bot can tell the fan.
+export function filterQuestions(all, filters = {}, minimum = 4) {
+  const wanted = {
+    difficulty: DIFFICULTIES.includes(filters.difficulty?.toLowerCase()) ? filters.difficulty.toLowerCase() : null,
+    category: filters.category ? filters.category.toLowerCase() : null,
+    sport: normalizeSport(filters.sport)
+  };
+
+  const tests = {
+    difficulty: q => (q.difficulty || "medium").toLowerCase() === wanted.difficulty,
+    category: q => (q.category || "").toLowerCase().includes(wanted.category) || questionSport(q) === normalizeSport(wanted.category),
+    sport: q => questionSport(q) === wanted.sport
+  };
+
+  let active = RELAX_ORDER.filter(k => wanted[k]);
+  const relaxed = [];
+
+  while (true) {
+    const pool = all.filter(q => active.every(k => tests[k](q)));
+    if (pool.length >= minimum || !active.length) {
+      return {
+        pool: pool.length ? pool : all,
+        applied: Object.fromEntries(active.map(k => [k, wanted[k]])),
+        relaxed
+      };
+    }
+    const drop = RELAX_ORDER.find(k => active.includes(k));
+    active = active.filter(k => k !== drop);
+    relaxed.push(drop);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*                        QUESTION SELECTION                           */
+/* ------------------------------------------------------------------ */
+
+// UTC day stamp — the "no repeats today" window
+export function todayKey(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Picks a question the session hasn't seen today and records it as seen.
+// When every question in the pool has been seen, the pool starts over.
+export function pickQuestion(session, schoolId, pool) {
+  const day = todayKey();
+  if (session.triviaSeen?.day !== day) {
+    session.triviaSeen = { day, ids: [] };
+  }
+
+  const seen = new Set(session.triviaSeen.ids);
+  let fresh = pool.filter(q => !seen.has(`${schoolId}:${q.id}`));
+  if (!fresh.length) {
+    session.triviaSeen.ids = session.triviaSeen.ids.filter(id => !id.startsWith(`${schoolId}:`));
+    fresh = pool;
+  }
+
+  const q = fresh[Math.floor(Math.random() * fresh.length)];
+  session.triviaSeen.ids.push(`${schoolId}:${q.id}`);
+  return q;
+}
+
+// { question, options: ["A. …"], correctIndex, explanation } or { error }
+export function nextQuestion(session, schoolId, pool) {
+  if (!pool.length) {
+    return { error: "Trivia not loaded" };
+  }
+
+  const q = pickQuestion(session, schoolId, pool);
+  const mcq = buildMCQ(q, pool);
+
+  if (!mcq.question || !mcq.options?.length || mcq.correctIndex < 0) {
+    return { error: "Failed to generate trivia question" };
+  }
+
+  return {
+    id: q.id,
+    question: mcq.question,
+    options: mcq.options.map((o, i) => `${LETTERS[i]}. ${o}`),
+    correctIndex: mcq.correctIndex,
+    explanation: mcq.explanation,
+    category: q.category || null,
+    difficulty: q.difficulty || "medium",
+    sport: questionSport(q)
+  };
+}
+
+export function formatQuestion(q, label) {
+  return `${label ? `**${label}**\n\n` : ""}${q.question}\n\n${q.options.join("\n")}\n\nReply with **A**, **B**, **C**, or **D**.`;
+}
+
+/* ------------------------------------------------------------------ */
+/*                           TRIVIA ROUNDS                             */
+/* ------------------------------------------------------------------ */
+
+export const MIN_ROUND_QUESTIONS = 3;
+export const MAX_ROUND_QUESTIONS = 10;
+export const DEFAULT_ROUND_QUESTIONS = 5;
+
+// Everything about a round lives on session.trivia so it persists with the
+// session store:
+//   { schoolId, total, number, score, streak, bestStreak, current, filters, startedAt }
+export function startRound(session, schoolId, pool, count = DEFAULT_ROUND_QUESTIONS, filters = {}) {
+  const total = Math.min(MAX_ROUND_QUESTIONS, Math.max(MIN_ROUND_QUESTIONS, Math.round(Number(count)) || DEFAULT_ROUND_QUESTIONS));
+  const first = nextQuestion(session, schoolId, pool);
+  if (first.error) return first;
+
+  session.trivia = {
+    schoolId,
+    total,
+    number: 1,
+    score: 0,
+    streak: 0,
+    bestStreak: 0,
+    current: { id: first.id, correctIndex: first.correctIndex, explain: first.explanation },
+    filters,
+    startedAt: new Date().toISOString()
+  };
+
+  return { ...first, round: roundState(session.trivia) };
+}
+
+export function roundState(round) {
+  return {
+    number: round.number,
+    total: round.total,
+    score: round.score,
+    streak: round.streak,
+    bestStreak: round.bestStreak
+  };
+}
+
+// Scores the answer and either serves the next question or finishes the round.
+// Returns { correct, correctLetter, explain, finished, next?, round }.
+export function answerRound(session, choiceIndex, pool) {
+  const round = session.trivia;
+  const correct = choiceIndex === round.current.correctIndex;
+  const outcome = {
+    questionId: round.current.id,
+    correct,
+    correctLetter: LETTERS[round.current.correctIndex],
+    explain: round.current.explain
+  };
+
+  if (correct) {
+    round.score++;
+    round.streak++;
+    round.bestStreak = Math.max(round.bestStreak, round.streak);
+  } else {
+    round.streak = 0;
+  }
+
+  if (round.number >= round.total) {
+    session.trivia = null;
+    return { ...outcome, finished: true, round: roundState(round) };
+  }
+
+  const next = nextQuestion(session, round.schoolId, pool);
+  if (next.error) {
+    session.trivia = null;
+    return { ...outcome, finished: true, round: roundState(round) };
+  }
+
+  round.number++;
+  round.current = { id: next.id, correctIndex: next.correctIndex, explain: next.explanation };
+  return { ...outcome, finished: false, next, round: roundState(round) };
+}
+
+export function endRound(session) {
+  const round = session.trivia;
+  session.trivia = null;
+  // The unanswered question doesn't count against the fan
+  return round ? { ...roundState(round), total: round.number - 1 } : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*                         ROUND PERSISTENCE                           */
+/* ------------------------------------------------------------------ */
+
+// trivia_rounds: user_id, school_id, total, correct, best_streak, started_at, completed_at
+export async function saveRoundResult(supabase, userId, schoolId, result, startedAt) {
+  const { error } = await supabase.from('trivia_rounds').insert({
+    user_id:      userId,
+    school_id:    schoolId,
+    total:        result.total,
+    correct:      result.score,
+    best_streak:  result.bestStreak,
+    started_at:   startedAt || null,
+    completed_at: new Date().toISOString()
+  });
+  if (error) throw error;
+}
+
+// Best score and longest streak across every finished round for this school
+export async function getPersonalBest(supabase, userId, schoolId) {
+  const [byScore, byStreak] = await Promise.all([
+    supabase
+      .from('trivia_rounds')
+      .select('correct, total, completed_at')
+      .eq('user_id', userId)
+      .eq('school_id', schoolId)
+      .order('correct', { ascending: false })
+      .limit(1),
+    supabase
+      .from('trivia_rounds')
+      .select('best_streak')
+      .eq('user_id', userId)
+      .eq('school_id', schoolId)
+      .order('best_streak', { ascending: false })
+      .limit(1)
+  ]);
+
+  if (byScore.error) throw byScore.error;
+  if (byStreak.error) throw byStreak.error;
+
+  const top = byScore.data?.[0];
+  return top
+    ? { score: top.correct, total: top.total, at: top.completed_at, streak: byStreak.data?.[0]?.best_streak || 0 }
+    : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*                      ANSWER LOG + LEADERBOARDS                      */
+/* ------------------------------------------------------------------ */
+
+export const LEADERBOARD_PERIODS = ["week", "month", "all"];
+
+// trivia_answers: user_id, school_id, question_id, correct, mode ('single' | 'round'), answered_at
+export async function recordAnswer(supabase, { userId, schoolId, questionId, correct, mode }) {
+  try {
+    const { error } = await supabase.from('trivia_answers').insert({
+      user_id:     userId,
+      school_id:   schoolId,
+      question_id: questionId ?? null,
+      correct:     Boolean(correct),
+      mode,
+      answered_at: new Date().toISOString()
+    });
+    if (error) throw error;
+  } catch (err) {
+    console.error('❌ Trivia answer log error:', err.message || err);
+  }
+}
+
+// Competitions run on calendar periods (UTC): weeks start Monday, months on the 1st
+export function periodStart(period, now = new Date()) {
+  if (period === "week") {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+  if (period === "month") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return null;
+}
+
+// Leaderboards are ranked in Postgres, so a request reads only the rows it
+// returns. Streaks are runs of correct answers in answer order (a run is
+// everything between two misses):
+//
+//   create function trivia_leaderboard(p_school text, p_since timestamptz default null)
+//   returns table (
+//     rank bigint, user_id text, answered bigint, correct bigint, accuracy numeric,
+//     best_streak bigint, streak bigint, last_answered_at timestamptz,
+//     players bigint, total_answered numeric, total_correct numeric
+//   ) language sql stable as $$
+//     with answers as (
+//       select user_id::text, correct, answered_at,
+//              count(*) filter (where not correct) over (partition by user_id order by answered_at) as misses
+//       from trivia_answers
+//       where school_id = p_school and (p_since is null or answered_at >= p_since)
+//     ),
+//     runs as (
+//       select user_id, misses, count(*) filter (where correct) as run
+//       from answers group by user_id, misses
+//     ),
+//     totals as (
+//       select user_id, count(*) as answered, count(*) filter (where correct) as correct,
+//              max(answered_at) as last_answered_at, max(misses) as last_run
+//       from answers group by user_id
+//     ),
+//     scored as (
+//       select t.user_id, t.answered, t.correct, round(t.correct::numeric / t.answered, 3) as accuracy,
+//              (select max(r.run) from runs r where r.user_id = t.user_id) as best_streak,
+//              (select r.run from runs r where r.user_id = t.user_id and r.misses = t.last_run) as streak,
+//              t.last_answered_at
+//       from totals t
+//     )
+//     select row_number() over (order by correct desc, accuracy desc, best_streak desc) as rank, s.*,
+//            count(*) over () as players, sum(answered) over () as total_answered, sum(correct) over () as total_correct
+//     from scored s;
+//   $$;
+//
+// Use an index on trivia_answers (school_id, answered_at).
+function leaderboardQuery(supabase, schoolId, since) {
+  return supabase.rpc('trivia_leaderboard', { p_school: schoolId, p_since: since?.toISOString() || null });
+}
+
+function toPlayer(row) {
+  return {
+    rank:           Number(row.rank),
+    userId:         row.user_id,
+    answered:       Number(row.answered),
+    correct:        Number(row.correct),
+    accuracy:       Number(row.accuracy),
+    streak:         Number(row.streak),
+    bestStreak:     Number(row.best_streak),
+    lastAnsweredAt: row.last_answered_at
+  };
+}
+
+export async function getLeaderboard(supabase, schoolId, { period = "week", limit = 25 } = {}) {
+  const since = periodStart(period);
+  const { data, error } = await leaderboardQuery(supabase, schoolId, since)
+    .order('rank', { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  // Every row carries the school-wide totals
+  const totals = data?.[0];
+  const answered = Number(totals?.total_answered || 0);
+  const correct = Number(totals?.total_correct || 0);
+
+  return {
+    school: schoolId,
+    period,
+    periodStart: since?.toISOString() || null,
+    summary: {
+      players: Number(totals?.players || 0),
+      answered,
+      correct,
+      accuracy: answered ? Number((correct / answered).toFixed(3)) : 0
+    },
+    leaders: (data || []).map(toPlayer)
+  };
+}
+
+export async function getPlayerStats(supabase, userId, schoolId, period = "all") {
+  const since = periodStart(period);
+  const [mine, personalBest] = await Promise.all([
+    leaderboardQuery(supabase, schoolId, since).eq('user_id', userId).maybeSingle(),
+    getPersonalBest(supabase, userId, schoolId)
+  ]);
+  if (mine.error) throw mine.error;
+  const me = mine.data ? toPlayer(mine.data) : null;
+
+  // The player count rides on every row; only a fan with no answers needs
+  // another row to read it from
+  let players = mine.data?.players;
+  if (!mine.data) {
+    const { data, error } = await leaderboardQuery(supabase, schoolId, since).select('players').limit(1);
+    if (error) throw error;
+    players = data?.[0]?.players;
+  }
+
+  return {
+    school: schoolId,
+    period,
+    periodStart: since?.toISOString() || null,
+    rank: me?.rank || null,
+    players: Number(players || 0),
+    answered: me?.answered || 0,
+    correct: me?.correct || 0,
+    accuracy: me?.accuracy || 0,
+    streak: me?.streak || 0,
+    bestStreak: me?.bestStreak || 0,
+    personalBest
+  };
+}
@@ -0,0 +1,261 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeAnswer } from "./trivia.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ─── TRIVIA QUALITY CHECKER ───────────────────────────────────────────────────
+// Scans every trivia/*.json file for content that buildMCQ would quietly turn
+// into a bad question: missing or duplicate distractors (it borrows answers
+// from other questions), a distractor that is the answer, distractors of a
+// different kind than the answer (a year offered against a player name),
+// duplicate questions and ids that clash within or across files.
+//
+// Ids are only used per school (the store, rounds and trivia_answers all key
+// on school + id), so ids shared across files are reported as info: worth
+// knowing before merging files, but not a problem today.
+//
+//   node triviaQuality.js              → summary, exit 1 on errors
+//   node triviaQuality.js --json       → full report as JSON on stdout
+//   node triviaQuality.js --out r.json → also write the report to a file
+//   node triviaQuality.js --strict     → warnings fail the run too
+//   node triviaQuality.js --dir <path> → check another folder of trivia files
+//
+// `npm test` runs it with --strict, so warnings fail the build too.
+
+const WRONG_ANSWERS = 3;
+
+// check → severity; errors break questions, warnings make them weak, info
+// is reported but never fails a run
+const CHECKS = {
+  invalid_file: "error",
+  missing_field: "error",
+  missing_id: "error",
+  duplicate_id: "error",
+  too_few_distractors: "error",
+  duplicate_distractor: "error",
+  distractor_is_answer: "error",
+  duplicate_question: "warning",
+  distractor_type_mismatch: "warning",
+  id_collision: "info"
+};
+
+// Leading hedges and trailing units that don't change what kind of value an
+// answer is: "Approximately 55,000", "Back in 1985", "All 13", "3 points"
+const HEDGE = /^(approximately|about|around|over|under|nearly|exactly|at least|less than|more than|fewer than|only|all|since|back in|in)\s+/i;
+const TRAILER = /\s+(points?( per game)?|only|exactly|or (higher|lower|more|fewer|better))$/i;
+// A value followed by context: "41-38 over Stanford", "12,000+ at Lloyd Noble"
+const CONTEXT = /^([#$]?\d[\d,.]*(?:-\d+){0,2}\+?)(?:\s+points?)?\s+(?:at|over|vs\.?|against|scored|per|through|on)\b.*$/i;
+const QUANTITY_WORDS = /^(zero|one|two|three|dozens|hundreds|thousands)$/i;
+// Trick-question and vague answers ("Never played Alabama in Sugar Bowl",
+// "None", "Multiple times") stand against distractors of any kind
+const OPEN_ENDED = /^(never|none|no one|nobody|multiple|several|many)\b/i;
+// Vague eras take the decade from their aside: "Recent seasons (2020s)"
+const ERA = /^(recent|early|late|mid)\b/i;
+
+// Ascending pairs are ranges ("2-3", "1960-1961"), which stand in for
+// numbers or records
+const COMPATIBLE = { range: ["number", "record"] };
+
+function valueKind(value) {
+  const a = value.trim()
+    .replace(HEDGE, "")
+    .replace(CONTEXT, "$1")
+    .replace(TRAILER, "")
+    .replace(/\+$/, "")
+    .trim();
+  if (/^(1[89]|20)\d{2}s?$/.test(a)) return "year";
+  const pair = a.match(/^(\d+)-(\d+)$/);
+  if (pair && Number(pair[1]) < Number(pair[2])) return "range";
+  if (/^\d+(-\d+){1,2}$/.test(a)) return "record";
+  if (/^[#$]?\d[\d,]*(\.\d+)?(%|st|nd|rd|th)?$/i.test(a)) return "number";
+  if (QUANTITY_WORDS.test(a)) return "number";
+  return "text";
+}
+
+// "1950", "1950s" → year; "7", "12,000", "3.5%", "2nd", "Hundreds" → number;
+// "12-0", "10-2-1" → record; "2-3" → range; "Never …", "None",
+// "Multiple …" → open;
+// anything else → text. Hedges, units and asides ("Approximately 55,000",
+// "10+", "2 (1945, 1946)") don't change the kind, and a list or "x or y"
+// of one kind is that kind.
+export function answerKind(answer) {
+  const raw = String(answer ?? "");
+  const outer = raw.replace(/\([^)]*\)/g, "").replace(/\s+/g, " ").trim();
+  if (OPEN_ENDED.test(outer)) return "open";
+
+  const parts = outer.replace(TRAILER, "").split(/,\s+|\s+or\s+/).filter(Boolean);
+  const kinds = [...new Set(parts.map(valueKind))];
+  const kind = kinds.length === 1 ? kinds[0] : "text";
+
+  const aside = raw.match(/\(([^)]*)\)/)?.[1];
+  if (kind === "text" && aside && ERA.test(outer) && valueKind(aside) === "year") return "year";
+  return kind;
+}
+
+export function compatibleKinds(a, b) {
+  return a === b || a === "open" || b === "open" || !!COMPATIBLE[a]?.includes(b) || !!COMPATIBLE[b]?.includes(a);
+}
+
+// Punctuation and case don't make a question different
+function questionKey(text) {
+  return normalizeAnswer(text).replace(/[^a-z0-9 ]/g, "").replace(/\s+/g, " ").trim();
+}
+
+// questions → issues for one file
+export function checkQuestions(questions, file) {
+  const issues = [];
+  const issue = (check, id, message) => issues.push({ severity: CHECKS[check], check, file, id: id ?? null, message });
+
+  const idCounts = new Map();
+  const seenQuestions = new Map();
+
+  questions.forEach((q, index) => {
+    const id = q?.id;
+    if (!Number.isInteger(id)) {
+      issue("missing_id", null, `question at index ${index} has no integer id`);
+    } else {
+      idCounts.set(id, (idCounts.get(id) || 0) + 1);
+    }
+
+    for (const field of ["question", "answer"]) {
+      if (typeof q?.[field] !== "string" || !q[field].trim()) issue("missing_field", id, `${field} is missing`);
+    }
+
+    if (typeof q?.question === "string" && q.question.trim()) {
+      const key = questionKey(q.question);
+      if (seenQuestions.has(key)) {
+        issue("duplicate_question", id, `same question as id ${seenQuestions.get(key)}`);
+      } else {
+        seenQuestions.set(key, id);
+      }
+    }
+
+    const wrong = Array.isArray(q?.wrongAnswers)
+      ? q.wrongAnswers.filter(a => typeof a === "string" && a.trim())
+      : [];
+    if (wrong.length < WRONG_ANSWERS) {
+      issue("too_few_distractors", id, `${wrong.length} of ${WRONG_ANSWERS} wrongAnswers — options would be borrowed from other questions`);
+    }
+
+    const normalized = wrong.map(normalizeAnswer);
+    const dupes = [...new Set(normalized.filter((a, i) => normalized.indexOf(a) !== i))];
+    if (dupes.length) issue("duplicate_distractor", id, `repeated wrongAnswers: ${dupes.join(", ")}`);
+
+    if (typeof q?.answer === "string" && normalized.includes(normalizeAnswer(q.answer))) {
+      issue("distractor_is_answer", id, `wrongAnswers include the answer "${q.answer}"`);
+    }
+
+    if (typeof q?.answer === "string" && q.answer.trim()) {
+      const kind = answerKind(q.answer);
+      const odd = wrong.filter(a => !compatibleKinds(kind, answerKind(a)));
+      if (odd.length) {
+        issue("distractor_type_mismatch", id, `answer is a ${kind} but ${odd.map(a => `"${a}" is a ${answerKind(a)}`).join(", ")}`);
+      }
+    }
+  });
+
+  for (const [id, count] of idCounts) {
+    if (count > 1) issue("duplicate_id", id, `id used ${count} times`);
+  }
+
+  return issues;
+}
+
+// Ids appearing in more than one file
+export function checkIdCollisions(files) {
+  const owners = new Map();
+  for (const { file, questions } of files) {
+    for (const id of new Set(questions.map(q => q?.id).filter(Number.isInteger))) {
+      owners.set(id, [...(owners.get(id) || []), file]);
+    }
+  }
+
+  return [...owners.entries()]
+    .filter(([, list]) => list.length > 1)
+    .map(([id, list]) => ({
+      severity: CHECKS.id_collision,
+      check: "id_collision",
+      file: null,
+      id,
+      message: `id ${id} is used in ${list.join(", ")}`
+    }));
+}
+
+export function checkTriviaDir(dir = path.join(__dirname, "trivia")) {
+  const files = [];
+  const issues = [];
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+      if (!Array.isArray(data)) throw new Error("expected an array of questions");
+      files.push({ file, questions: data });
+      issues.push(...checkQuestions(data, file));
+    } catch (err) {
+      issues.push({ severity: "error", check: "invalid_file", file, id: null, message: err.message });
+    }
+  }
+
+  issues.push(...checkIdCollisions(files));
+
+  const byCheck = {};
+  for (const i of issues) byCheck[i.check] = (byCheck[i.check] || 0) + 1;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dir,
+    files: files.map(({ file, questions }) => ({ file, questions: questions.length })),
+    summary: {
+      questions: files.reduce((n, f) => n + f.questions.length, 0),
+      errors: issues.filter(i => i.severity === "error").length,
+      warnings: issues.filter(i => i.severity === "warning").length,
+      info: issues.filter(i => i.severity === "info").length,
+      byCheck
+    },
+    issues
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                               CLI                                   */
+/* ------------------------------------------------------------------ */
+
+function printSummary(report) {
+  const { summary } = report;
+  console.log(`🧠 Checked ${summary.questions} trivia questions in ${report.files.length} files`);
+  for (const { file, questions } of report.files) console.log(`   ${file}: ${questions}`);
+
+  for (const [check, count] of Object.entries(summary.byCheck)) {
+    const icon = { error: "❌", warning: "⚠️", info: "ℹ️" }[CHECKS[check]];
+    console.log(`${icon} ${check}: ${count}`);
+    for (const i of report.issues.filter(i => i.check === check).slice(0, 5)) {
+      console.log(`   ${i.file ? `${i.file} ` : ""}#${i.id ?? "?"} ${i.message}`);
+    }
+    if (count > 5) console.log(`   … ${count - 5} more (use --json for all)`);
+  }
+
+  console.log(summary.errors || summary.warnings
+    ? `📋 ${summary.errors} errors, ${summary.warnings} warnings, ${summary.info} info`
+    : `✅ No problems found${summary.info ? ` (${summary.info} info)` : ""}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf("--out");
+  const dirIndex = args.indexOf("--dir");
+  const report = checkTriviaDir(dirIndex >= 0 ? path.resolve(args[dirIndex + 1]) : undefined);
+
+  if (outIndex >= 0) fs.writeFileSync(args[outIndex + 1], JSON.stringify(report, null, 2) + "\n");
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printSummary(report);
+  }
+
+  const failed = report.summary.errors > 0 || (args.includes("--strict") && report.summary.warnings > 0);
+  process.exitCode = failed ? 1 : 0;
+}
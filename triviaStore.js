@@ -0,0 +1,372 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DIFFICULTIES, normalizeAnswer } from "./trivia.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ─── TRIVIA STORE ─────────────────────────────────────────────────────────────
+// Trivia questions per school behind a small CRUD interface, so questions can
+// be added or fixed through the admin API instead of a redeploy. Reads are
+// served from an in-memory cache that every write for that school invalidates.
+//
+// TRIVIA_STORE=supabase keeps questions in the `trivia_questions` table, and
+// is the default whenever SUPABASE_URL is set. A school with no rows yet is
+// seeded from its bundled trivia/<school>.json on first read.
+//
+// TRIVIA_STORE=file (the default without Supabase) reads and writes
+// trivia/<school>.json in the deploy directory. Admin edits there are lost on
+// the next deploy, or on restart on hosts with an ephemeral filesystem.
+//
+//   create table trivia_questions (
+//     school         text not null,
+//     id             integer not null,
+//     question       text not null,
+//     answer         text not null,
+//     wrong_answers  jsonb not null default '[]',
+//     explanation    text,
+//     category       text,
+//     difficulty     text,
+//     sport          text,
+//     updated_at     timestamptz not null default now(),
+//     primary key (school, id)
+//   );
+//
+// Writes resolve to { data } or { error, status, issues } — they never throw.
+
+const WRONG_ANSWERS = 3;
+const FIELDS = ["id", "question", "answer", "wrongAnswers", "explanation", "category", "difficulty", "sport"];
+
+/* ------------------------------------------------------------------ */
+/*                            VALIDATION                               */
+/* ------------------------------------------------------------------ */
+
+function isBlank(value) {
+  return typeof value !== "string" || !value.trim();
+}
+
+// Returns a list of problems; empty means the question can be stored
+export function validateQuestion(q) {
+  const issues = [];
+  if (!q || typeof q !== "object" || Array.isArray(q)) return ["question must be an object"];
+
+  if (!Number.isInteger(q.id) || q.id < 1) issues.push("id must be a positive integer");
+  if (isBlank(q.question)) issues.push("question is required");
+  if (isBlank(q.answer)) issues.push("answer is required");
+
+  if (!Array.isArray(q.wrongAnswers) || q.wrongAnswers.length !== WRONG_ANSWERS) {
+    issues.push(`wrongAnswers must be an array of ${WRONG_ANSWERS} answers`);
+  } else {
+    if (q.wrongAnswers.some(isBlank)) issues.push("wrongAnswers cannot contain empty answers");
+    const normalized = q.wrongAnswers.map(normalizeAnswer);
+    if (new Set(normalized).size !== normalized.length) issues.push("wrongAnswers contains duplicates");
+    if (!isBlank(q.answer) && normalized.includes(normalizeAnswer(q.answer))) {
+      issues.push("wrongAnswers cannot include the correct answer");
+    }
+  }
+
+  if (q.difficulty !== undefined && !DIFFICULTIES.includes(q.difficulty)) {
+    issues.push(`difficulty must be one of ${DIFFICULTIES.join(", ")}`);
+  }
+  for (const field of ["explanation", "category", "sport"]) {
+    if (q[field] !== undefined && q[field] !== null && typeof q[field] !== "string") {
+      issues.push(`${field} must be a string`);
+    }
+  }
+
+  const unknown = Object.keys(q).filter(k => !FIELDS.includes(k));
+  if (unknown.length) issues.push(`unknown fields: ${unknown.join(", ")}`);
+
+  return issues;
+}
+
+// Trims strings and drops unset optional fields so stored JSON stays tidy.
+// Key order matches the hand-written trivia/<school>.json files.
+function cleanQuestion(q) {
+  const out = {
+    id: q.id,
+    question: q.question.trim(),
+    answer: q.answer.trim()
+  };
+  for (const field of ["category", "difficulty", "sport", "explanation"]) {
+    if (typeof q[field] === "string" && q[field].trim()) out[field] = q[field].trim();
+  }
+  out.wrongAnswers = q.wrongAnswers.map(a => a.trim());
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             BACKENDS                                */
+/* ------------------------------------------------------------------ */
+
+// Both backends expose list(school) and save(school, questions, { removed }),
+// where save upserts the given questions and deletes the removed ids.
+
+// Same layout as the hand-edited files: one key per line, answers inline,
+// so admin writes produce readable diffs
+function formatTriviaFile(questions) {
+  const value = (v) => Array.isArray(v) ? `[${v.map(x => JSON.stringify(x)).join(", ")}]` : JSON.stringify(v);
+  const blocks = questions.map(q =>
+    `  {\n${Object.entries(q).map(([k, v]) => `    ${JSON.stringify(k)}: ${value(v)}`).join(",\n")}\n  }`
+  );
+  return `[\n${blocks.join(",\n")}\n]\n`;
+}
+
+export function createFileTriviaBackend(dir = path.join(__dirname, "trivia")) {
+  const fileFor = (school) => {
+    if (!/^[a-z0-9_-]+$/i.test(school)) throw new Error(`Invalid school id: ${school}`);
+    return path.join(dir, `${school}.json`);
+  };
+
+  async function list(school) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(fileFor(school), "utf-8"));
+      return Array.isArray(data) ? data : [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  return {
+    kind: "file",
+
+    list,
+
+    async save(school, questions, { removed = [] } = {}) {
+      const byId = new Map((await list(school)).map(q => [q.id, q]));
+      for (const id of removed) byId.delete(id);
+      for (const q of questions) byId.set(q.id, q);
+
+      const sorted = [...byId.values()].sort((a, b) => a.id - b.id);
+      // Write then rename so a crash mid-write never leaves half a file
+      const tmp = `${fileFor(school)}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, formatTriviaFile(sorted));
+      await fs.promises.rename(tmp, fileFor(school));
+    }
+  };
+}
+
+function toRow(school, q) {
+  return {
+    school,
+    id: q.id,
+    question: q.question,
+    answer: q.answer,
+    wrong_answers: q.wrongAnswers,
+    explanation: q.explanation ?? null,
+    category: q.category ?? null,
+    difficulty: q.difficulty ?? null,
+    sport: q.sport ?? null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function fromRow(row) {
+  return cleanQuestion({
+    id: row.id,
+    question: row.question,
+    answer: row.answer,
+    wrongAnswers: row.wrong_answers || [],
+    explanation: row.explanation ?? undefined,
+    category: row.category ?? undefined,
+    difficulty: row.difficulty ?? undefined,
+    sport: row.sport ?? undefined
+  });
+}
+
+export function createSupabaseTriviaBackend(supabase, { table = "trivia_questions", pageSize = 1000, seed } = {}) {
+  async function seedSchool(school) {
+    // Questions the admin API would refuse stay behind
+    const bundled = (await seed.list(school)).filter(q => !validateQuestion(q).length);
+    if (!bundled.length) return [];
+    const { error } = await supabase
+      .from(table)
+      .upsert(bundled.map(q => toRow(school, cleanQuestion(q))), { onConflict: 'school,id', ignoreDuplicates: true });
+    if (error) throw error;
+    console.log(`🧠 Seeded ${bundled.length} trivia questions for ${school} from ${seed.kind}`);
+    return bundled.map(cleanQuestion);
+  }
+
+  return {
+    kind: "supabase",
+
+    async list(school) {
+      const rows = [];
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+          .from(table)
+          .select('*')
+          .eq('school', school)
+          .order('id', { ascending: true })
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+      if (!rows.length && seed) return seedSchool(school);
+      return rows.map(fromRow);
+    },
+
+    async save(school, questions, { removed = [] } = {}) {
+      if (removed.length) {
+        const { error } = await supabase.from(table).delete().eq('school', school).in('id', removed);
+        if (error) throw error;
+      }
+      if (questions.length) {
+        const { error } = await supabase
+          .from(table)
+          .upsert(questions.map(q => toRow(school, q)), { onConflict: 'school,id' });
+        if (error) throw error;
+      }
+    }
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                         CACHED CRUD STORE                           */
+/* ------------------------------------------------------------------ */
+
+export function createCachedTriviaStore(backend) {
+  // school → questions[]
+  const cache = new Map();
+  // school → tail of that school's write queue
+  const locks = new Map();
+  const stats = { hits: 0, loads: 0, writes: 0 };
+
+  // Runs writes for one school one at a time so read-modify-write cycles
+  // (next id, file rewrite) can't interleave
+  function exclusive(school, fn) {
+    const run = (locks.get(school) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    locks.set(school, tail);
+    tail.then(() => { if (locks.get(school) === tail) locks.delete(school); });
+    return run;
+  }
+
+  async function all(school) {
+    if (cache.has(school)) {
+      stats.hits++;
+      return cache.get(school);
+    }
+    const questions = await backend.list(school);
+    stats.loads++;
+    cache.set(school, questions);
+    console.log(`🧠 Loaded ${questions.length} trivia questions for ${school} (${backend.kind})`);
+    return questions;
+  }
+
+  async function write(school, questions, options) {
+    try {
+      await backend.save(school, questions, options);
+      stats.writes++;
+      return null;
+    } catch (err) {
+      console.error(`❌ Trivia store write error (${school}):`, err.message);
+      return { error: "Failed to save trivia", status: 500 };
+    } finally {
+      cache.delete(school);
+    }
+  }
+
+  function invalid(issues, index) {
+    return { error: "Invalid trivia question", status: 400, issues: index === undefined ? issues : issues.map(i => `[${index}] ${i}`) };
+  }
+
+  return {
+    kind: backend.kind,
+
+    all,
+
+    async get(school, id) {
+      return (await all(school)).find(q => q.id === id) || null;
+    },
+
+    // Assigns the next free id when none is given
+    create: (school, input) => exclusive(school, async () => {
+      const existing = await all(school);
+      const q = { ...input, id: input?.id ?? existing.reduce((max, e) => Math.max(max, e.id), 0) + 1 };
+
+      const issues = validateQuestion(q);
+      if (issues.length) return invalid(issues);
+      if (existing.some(e => e.id === q.id)) return { error: `Question ${q.id} already exists`, status: 409 };
+
+      const clean = cleanQuestion(q);
+      const failed = await write(school, [clean]);
+      return failed || { data: clean };
+    }),
+
+    // Partial update; the merged question must still validate
+    update: (school, id, patch) => exclusive(school, async () => {
+      const current = (await all(school)).find(q => q.id === id);
+      if (!current) return { error: `Question ${id} not found`, status: 404 };
+
+      const q = { ...current, ...patch, id };
+      const issues = validateQuestion(q);
+      if (issues.length) return invalid(issues);
+
+      const clean = cleanQuestion(q);
+      const failed = await write(school, [clean]);
+      return failed || { data: clean };
+    }),
+
+    remove: (school, id) => exclusive(school, async () => {
+      if (!(await all(school)).some(q => q.id === id)) {
+        return { error: `Question ${id} not found`, status: 404 };
+      }
+      const failed = await write(school, [], { removed: [id] });
+      return failed || { data: { id, deleted: true } };
+    }),
+
+    // mode "merge" upserts by id; "replace" also deletes questions missing
+    // from the import. Nothing is written unless every question validates.
+    importQuestions: (school, questions, { mode = "merge" } = {}) => exclusive(school, async () => {
+      if (!Array.isArray(questions) || !questions.length) {
+        return { error: "questions must be a non-empty array", status: 400 };
+      }
+      if (!["merge", "replace"].includes(mode)) {
+        return { error: "mode must be merge or replace", status: 400 };
+      }
+
+      const issues = questions.flatMap((q, i) => invalid(validateQuestion(q), i).issues);
+      const ids = questions.map(q => q?.id);
+      const dupes = [...new Set(ids.filter((id, i) => ids.indexOf(id) !== i))];
+      if (dupes.length) issues.push(`duplicate ids in import: ${dupes.join(", ")}`);
+      if (issues.length) return invalid(issues);
+
+      const clean = questions.map(cleanQuestion);
+      const incoming = new Set(ids);
+      const existing = await all(school);
+      const removed = mode === "replace" ? existing.map(q => q.id).filter(id => !incoming.has(id)) : [];
+      const updated = existing.filter(q => incoming.has(q.id)).length;
+
+      const failed = await write(school, clean, { removed });
+      return failed || {
+        data: { mode, created: clean.length - updated, updated, removed: removed.length }
+      };
+    }),
+
+    invalidate(school) {
+      if (school) cache.delete(school);
+      else cache.clear();
+    },
+
+    stats() {
+      return { kind: backend.kind, ...stats, cachedSchools: [...cache.keys()] };
+    }
+  };
+}
+
+// Picks the backend from TRIVIA_STORE, defaulting to Supabase when it's
+// configured.
+export function createTriviaStore(supabase, env = process.env) {
+  const kind = (env.TRIVIA_STORE || (env.SUPABASE_URL ? "supabase" : "file")).toLowerCase();
+  if (kind === "supabase") {
+    console.log("🧠 Trivia store: supabase");
+    return createCachedTriviaStore(createSupabaseTriviaBackend(supabase, { seed: createFileTriviaBackend() }));
+  }
+  console.warn("⚠️ Trivia store: file — admin edits write to trivia/*.json and are lost on the next deploy");
+  return createCachedTriviaStore(createFileTriviaBackend());
+}
@@ -0,0 +1,184 @@
+import crypto from "crypto";
+
+// ─── TEXT TO SPEECH ───────────────────────────────────────────────────────────
+// /tts text goes through three steps before it reaches OpenAI:
+//
+//   1. speakableText strips what shouldn't be read aloud: markdown markers,
+//      links (label kept), bare URLs, emoji and the SUGGESTED: follow-up block
+//   2. chunkText splits anything over the API's input limit at sentence
+//      boundaries (then clauses, then words)
+//   3. each chunk is synthesized and the MP3s are joined into one file
+//
+// A request is one unit of /tts quota, so spoken text is capped at
+// MAX_CHUNKS chunks; longer text is refused rather than read in pieces.
+//
+// Finished audio is cached in memory by a hash of model + voice + spoken text,
+// evicting least recently played entries once TTS_CACHE_MB (default 64) is
+// exceeded. Identical requests in flight share one synthesis.
+
+export const TTS_VOICES = ["alloy", "ash", "coral", "echo", "fable", "onyx", "nova", "sage", "shimmer"];
+export const DEFAULT_VOICE = "onyx";
+
+const MODEL = "tts-1";
+const MAX_INPUT_CHARS = 4096;
+const CHUNK_CHARS = 4000;
+const MAX_CHUNKS = 3;
+export const MAX_SPOKEN_CHARS = CHUNK_CHARS * MAX_CHUNKS;
+
+/* ------------------------------------------------------------------ */
+/*                           TEXT CLEANUP                              */
+/* ------------------------------------------------------------------ */
+
+export function speakableText(text) {
+  return String(text || "")
+    // Follow-up suggestions are for tapping, not listening
+    .replace(/\n\s*SUGGESTED:[\s\S]*$/i, "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/^\s{0,3}#{1,6}\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, "")
+    .replace(/^[ \t]*\|?[ \t:|-]+\|[ \t:|-]*$/gm, "")
+    .replace(/^[ \t]*\|(.*?)\|?[ \t]*$/gm, "$1")
+    .replace(/[ \t]*\|[ \t]*/g, ", ")
+    .replace(/(\*\*|__|~~|`)/g, "")
+    .replace(/(^|\s)[*_]([^*_\n]+)[*_](?=\s|[.,!?;:]|$)/g, "$1$2")
+    .replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{FE0F}\u{200D}\u{20E3}]/gu, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n+ */g, "\n")
+    .replace(/\n(?=\S)/g, (m, offset, all) => /[.!?:]$/.test(all.slice(0, offset)) ? " " : ". ")
+    .trim();
+}
+
+// Longest-first split points: sentences, then clauses, then words
+function splitOversized(piece, max) {
+  if (piece.length <= max) return [piece];
+  for (const pattern of [/(?<=[,;:])\s+/, /\s+/]) {
+    const parts = piece.split(pattern);
+    if (parts.length > 1) return pack(parts, max, " ");
+  }
+  const hard = [];
+  for (let i = 0; i < piece.length; i += max) hard.push(piece.slice(i, i + max));
+  return hard;
+}
+
+function pack(parts, max, joiner) {
+  const chunks = [];
+  let current = "";
+  for (const part of parts.flatMap(p => splitOversized(p, max))) {
+    if (current && current.length + joiner.length + part.length > max) {
+      chunks.push(current);
+      current = part;
+    } else {
+      current = current ? `${current}${joiner}${part}` : part;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+export function chunkText(text, max = CHUNK_CHARS) {
+  if (text.length <= max) return [text];
+  return pack(text.split(/(?<=[.!?])\s+/), max, " ");
+}
+
+/* ------------------------------------------------------------------ */
+/*                             MP3 JOINING                             */
+/* ------------------------------------------------------------------ */
+
+// MP3 frames concatenate cleanly; only the ID3 tag at the front of each
+// later chunk has to go, or players stop at the first one
+function stripId3(buffer) {
+  if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") return buffer;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return buffer.subarray(10 + size + footer);
+}
+
+export function joinMp3(buffers) {
+  return Buffer.concat(buffers.map((b, i) => (i === 0 ? b : stripId3(b))));
+}
+
+/* ------------------------------------------------------------------ */
+/*                              SERVICE                                */
+/* ------------------------------------------------------------------ */
+
+export function createTts({ openai, maxCacheBytes = (Number(process.env.TTS_CACHE_MB) || 64) * 1024 * 1024 } = {}) {
+  const cache = new Map();     // hash → Buffer, least recently played first
+  const inflight = new Map();  // hash → Promise<Buffer>
+  const stats = { hits: 0, misses: 0, evictions: 0, bytes: 0 };
+
+  function remember(key, audio) {
+    if (audio.length > maxCacheBytes) return;
+    cache.set(key, audio);
+    stats.bytes += audio.length;
+    while (stats.bytes > maxCacheBytes) {
+      const [oldest, buffer] = cache.entries().next().value;
+      cache.delete(oldest);
+      stats.bytes -= buffer.length;
+      stats.evictions++;
+    }
+  }
+
+  async function synthesize(text, voice) {
+    const chunks = chunkText(text);
+    const buffers = [];
+    // One at a time: a long reply shouldn't fire a burst of parallel calls
+    for (const input of chunks) {
+      const mp3 = await openai.audio.speech.create({ model: MODEL, voice, input: input.slice(0, MAX_INPUT_CHARS) });
+      buffers.push(Buffer.from(await mp3.arrayBuffer()));
+    }
+    if (chunks.length > 1) console.log(`🔊 TTS joined ${chunks.length} chunks (${text.length} chars)`);
+    return joinMp3(buffers);
+  }
+
+  // → { data: { text } } or { error, status }; cheap, so callers can check
+  // before charging quota
+  function prepare(rawText) {
+    if (typeof rawText !== "string" || !rawText.trim()) return { error: "No text provided", status: 400 };
+    const text = speakableText(rawText);
+    if (!text) return { error: "Nothing to read aloud", status: 400 };
+    if (text.length > MAX_SPOKEN_CHARS || chunkText(text).length > MAX_CHUNKS) {
+      return { error: `Text too long to read aloud (${text.length} characters, max ${MAX_SPOKEN_CHARS})`, status: 413 };
+    }
+    return { data: { text } };
+  }
+
+  // → { data: { audio, cached } } or { error, status }
+  async function speak(rawText, voice = DEFAULT_VOICE) {
+    const prepared = prepare(rawText);
+    if (prepared.error) return prepared;
+    const { text } = prepared.data;
+
+    const key = crypto.createHash("sha256").update(`${MODEL}\n${voice}\n${text}`).digest("hex");
+
+    const hit = cache.get(key);
+    if (hit) {
+      cache.delete(key);
+      cache.set(key, hit);
+      stats.hits++;
+      return { data: { audio: hit, cached: true } };
+    }
+
+    stats.misses++;
+    let pending = inflight.get(key);
+    if (!pending) {
+      pending = synthesize(text, voice)
+        .then(audio => {
+          remember(key, audio);
+          return audio;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+    return { data: { audio: await pending, cached: false } };
+  }
+
+  return {
+    prepare,
+    speak,
+    stats: () => ({ ...stats, entries: cache.size, maxBytes: maxCacheBytes })
+  };
+}